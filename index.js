@@ -1,50 +1,342 @@
 'use strict';
 
-var SphericalMercator = require('sphericalmercator');
 var queue = require('d3-queue').queue;
 var blend = require('@carto/mapnik').blend;
 var crypto = require('crypto');
+var errors = require('./lib/errors');
+var validate = require('./lib/validate');
+var raster = require('./lib/raster');
+var fetchTile = require('./lib/fetch');
+var TileCache = require('./lib/cache');
+var georeference = require('./lib/georeference');
+var geotiff = require('./lib/geotiff');
+var mercator = require('./lib/mercator');
+var Viewport = require('./lib/viewport');
+var overlay = require('./lib/overlay');
+var decorations = require('./lib/decorations');
+var VectorRenderer = require('./lib/vector');
+var formats = require('./lib/formats');
+var httpHeaders = require('./lib/headers');
+var grids = require('./lib/grids');
+var sheets = require('./lib/sheets');
+var Progress = require('./lib/stats').Progress;
+var summarize = require('./lib/stats').summarize;
+
+var D2R = mercator.D2R,
+    wrapLng = mercator.wrapLng;
+
+// Formats mapnik's blend can encode directly.
+var BLEND_FORMATS = ['png', 'jpeg'];
 
 module.exports = abaculus;
 
+abaculus.errors = errors;
+abaculus.validate = validate;
+abaculus.TileCache = TileCache;
+abaculus.Viewport = Viewport;
+abaculus.grids = grids;
+abaculus.sources = require('./lib/sources');
+
 function abaculus(arg, callback) {
-    var z = arg.zoom || 0,
-        s = arg.scale || 1,
-        center = arg.center || null,
-        bbox = arg.bbox || null,
-        getTile = arg.getTile || null,
-        format = arg.format || 'png',
-        quality = arg.quality || null,
-        limit = arg.limit || 19008,
-        tileSize = arg.tileSize || 256;
+    if (typeof callback !== 'function') return promised(abaculus, [arg]);
 
-    if (!getTile) return callback(new Error('Invalid function for getting tiles'));
+    var invalid = validate(arg);
+    if (invalid) return deliver(callback, invalid);
 
-    if (center) {
-        // get center coordinates in px from lng,lat
-        center = abaculus.coordsFromCenter(z, s, center, limit, tileSize);
-    } else if (bbox) {
-        // get center coordinates in px from [w,s,e,n] bbox
-        center = abaculus.coordsFromBbox(z, s, bbox, limit, tileSize);
-    } else {
-        return callback(new Error('No coordinates provided.'));
+    var progress = new Progress(arg.onProgress);
+    progress.phase('plan');
+
+    // placement throws on bad input; hand those errors to the callback so
+    // callers never need a try/catch around abaculus().
+    var view;
+    try {
+        view = place(arg);
+    } catch (err) {
+        return deliver(callback, err);
     }
-    // generate list of tile coordinates center
-    var coords = abaculus.tileList(z, s, center, tileSize);
+    render(arg, view, progress, callback);
+}
+
+// Render the image placed by `view` (see place()) with validated
+// abaculus() parameters, reporting to `progress`, a Progress in its
+// 'plan' phase.
+function render(arg, view, progress, callback) {
+    var getTile = arg.getTile,
+        format = arg.format || 'png',
+        quality = arg.quality === undefined ? null : arg.quality,
+        grid = grids.get(arg.grid),
+        tileSize = arg.tileSize || grid.tileSize,
+        bearing = arg.bearing || 0;
+
+    var coords;
+    try {
+        // generate list of tile coordinates center; layers make their own
+        if (!arg.layers) coords = abaculus.tileList(view.zoom, view.scale, view.center, tileSize, bearing, grid);
+    } catch (err) {
+        return deliver(callback, err);
+    }
+    var z = view.zoom,
+        s = view.scale,
+        center = view.center;
+
+    var meta = {
+        zoom: z,
+        bearing: bearing,
+        bounds: renderedBounds(z, s, center, tileSize, bearing, grid),
+        viewport: new Viewport(z, s, center, tileSize, bearing, grid)
+    };
 
     // get tiles based on coordinate list and stitch them together
-    abaculus.stitchTiles(coords, format, quality, getTile, callback);
+    var options = {
+        grid: grid,
+        tileSize: tileSize,
+        timeout: arg.timeout,
+        retries: arg.retries,
+        retryDelay: arg.retryDelay,
+        missingTile: arg.missingTile,
+        missingTileColor: arg.missingTileColor,
+        concurrency: arg.concurrency,
+        signal: arg.signal,
+        cache: arg.cache,
+        cacheKey: arg.cacheKey,
+        style: arg.style,
+        styleBase: arg.styleBase,
+        cacheControl: arg.cacheControl,
+        ifNoneMatch: arg.ifNoneMatch,
+        ifModifiedSince: arg.ifModifiedSince,
+        progress: progress
+    };
+    // overlays are drawn first, decorations on top of them
+    if (arg.overlays || arg.decorations) {
+        options.draw = function(image, tileHeaders, done) {
+            var drawing = queue(1);
+            if (arg.overlays) drawing.defer(overlay, image, arg.overlays, meta.viewport, s);
+            if (arg.decorations) drawing.defer(decorations, image, arg.decorations, meta.viewport, s, tileHeaders);
+            drawing.awaitAll(function(err) {
+                done(err || null);
+            });
+        };
+    }
+
+    if (arg.georeference) {
+        meta.georeference = georeference(z, s, center, tileSize, bearing, meta.bounds, format, grid);
+    }
+
+    if (arg.layers) stitchLayers(arg.layers, z, s, center, tileSize, bearing, format, quality, options, stitched);
+    else abaculus.stitchTiles(coords, format, quality, getTile, options, stitched);
+
+    function stitched(err, image, headers, stats) {
+        if (err) return callback(err);
+        if (image === null) {
+            meta.notModified = true;
+            return callback(null, null, headers, stats, meta);
+        }
+        if (meta.georeference && formats.family(format) === 'tiff') {
+            try {
+                image = geotiff.tag(image, meta.georeference);
+            } catch (err) {
+                return callback(err);
+            }
+        }
+        callback(null, image, headers, stats, meta);
+    }
 }
 
-abaculus.coordsFromBbox = function(z, s, bbox, limit, tileSize) {
-    var sm = new SphericalMercator({ size: tileSize * s });
-    var topRight = sm.px([bbox[2], bbox[3]], z),
-        bottomLeft = sm.px([bbox[0], bbox[1]], z);
+// Where an image rendered with these abaculus() parameters sits on the
+// map, as a Viewport projecting between lng,lat and image pixels. getTile
+// and layers may be left out. Throws on invalid parameters.
+abaculus.viewport = function(arg) {
+    var invalid = validate(arg && arg.layers ? arg : Object.assign({ getTile: noop }, arg));
+    if (invalid) throw invalid;
+    var view = place(arg),
+        grid = grids.get(arg.grid);
+    return new Viewport(view.zoom, view.scale, view.center, arg.tileSize || grid.tileSize, arg.bearing, grid);
+};
+
+// Render a list of abaculus() parameter sets, sharing tile fetches and
+// in-flight requests between them through one TileCache (`options.cache`,
+// or a new one for this batch). `options.concurrency` renders run at once,
+// default 4. Calls back with one result per parameter set, in order:
+// `{ image, headers, stats, meta }` or `{ error }`.
+abaculus.batch = function(list, options, callback) {
+    if (typeof options === 'function') {
+        callback = options;
+        options = {};
+    }
+    options = options || {};
+    if (typeof callback !== 'function') {
+        return new Promise(function(resolve, reject) {
+            abaculus.batch(list, options, function(err, results) {
+                if (err) return reject(err);
+                resolve(results);
+            });
+        });
+    }
+    if (!Array.isArray(list)) return deliver(callback, new errors.InvalidArgumentError('batch expects an array of parameters', 'list'));
+    if (options.concurrency !== undefined && !(Number.isInteger(options.concurrency) && options.concurrency >= 1)) {
+        return deliver(callback, new errors.InvalidArgumentError('concurrency must be a positive integer', 'concurrency'));
+    }
+
+    var cache = options.cache || new TileCache(options),
+        renders = queue(options.concurrency || 4);
+    list.forEach(function(arg) {
+        renders.defer(function(done) {
+            var params = Object.assign({ cache: cache }, arg);
+            abaculus(params, function(err, image, headers, stats, meta) {
+                if (err) return done(null, { error: err });
+                done(null, { image: image, headers: headers, stats: stats, meta: meta });
+            });
+        });
+    });
+    renders.awaitAll(callback);
+};
+
+// Render an image of any size as sheets stitched one after another, so
+// memory use is bounded by the sheet size rather than the image size. `limit`
+// applies to each sheet instead of the whole image. See lib/sheets.js for
+// the options. The sheets share a TileCache, so tiles along their borders
+// are fetched once.
+//
+// Calls back with `{ sheets, manifest }`. `sheets` lists, row by row,
+// `{ image, headers, stats, meta, index, row, column, x, y, width,
+// height }`, x/y being the sheet's offset in the full image. `manifest`
+// is a JSON-ready description of the full image and of each sheet, with
+// the bounds each one covers. Sheets given to `options.onSheet` are
+// listed without their image.
+abaculus.sheets = function(arg, options, callback) {
+    if (typeof callback !== 'function') {
+        return new Promise(function(resolve, reject) {
+            abaculus.sheets(arg, options, function(err, result) {
+                if (err) return reject(err);
+                resolve(result);
+            });
+        });
+    }
+    var invalid = validate(arg) || sheets.check(options);
+    // each sheet would get its own scale bar, title and frame
+    if (!invalid && arg.decorations) invalid = new errors.InvalidArgumentError('decorations cannot be drawn on sheets', 'decorations');
+    if (invalid) return deliver(callback, invalid);
+
+    var grid = grids.get(arg.grid),
+        tileSize = arg.tileSize || grid.tileSize,
+        bearing = arg.bearing || 0;
+    var view, plan;
+    try {
+        view = place(Object.assign({}, arg, { limit: Infinity }));
+        plan = sheets.layout(view.center.w, view.center.h, options, arg.limit || 19008);
+    } catch (err) {
+        return deliver(callback, err);
+    }
+    var z = view.zoom,
+        s = view.scale,
+        center = view.center;
+    var cos = Math.cos(bearing * D2R),
+        sin = Math.sin(bearing * D2R);
+    var params = Object.assign({}, arg, { cache: options.cache || arg.cache || new TileCache() });
+
+    var manifest = {
+        zoom: z,
+        scale: s,
+        bearing: bearing,
+        width: center.w,
+        height: center.h,
+        bounds: renderedBounds(z, s, center, tileSize, bearing, grid),
+        rows: plan.rows,
+        columns: plan.columns,
+        overlap: options.overlap || 0,
+        sheets: []
+    };
+
+    var rendering = queue(options.concurrency || 1);
+    plan.sheets.forEach(function(sheet) {
+        rendering.defer(function(done) {
+            // the sheet center's offset from the image center, rotated
+            // with the map and moved to pixels at zoom z
+            var dx = (sheet.x + sheet.width / 2 - center.w / 2) / s,
+                dy = (sheet.y + sheet.height / 2 - center.h / 2) / s;
+            var sheetView = {
+                zoom: z,
+                scale: s,
+                center: {
+                    x: center.x + dx * cos - dy * sin,
+                    y: center.y + dx * sin + dy * cos,
+                    w: sheet.width,
+                    h: sheet.height
+                }
+            };
+            // each sheet counts its own tiles; its events note the sheet
+            var progress = new Progress(arg.onProgress && function(event) {
+                arg.onProgress(Object.assign({ sheet: sheet.index }, event));
+            });
+            progress.phase('plan');
+            render(params, sheetView, progress, function(err, image, headers, stats, meta) {
+                if (err) return done(err);
+                var entry = Object.assign({ bounds: meta.bounds }, sheet);
+                if (meta.georeference) {
+                    entry.crs = meta.georeference.crs;
+                    entry.transform = meta.georeference.transform;
+                }
+                manifest.sheets[sheet.index] = entry;
+
+                var result = Object.assign({ image: image, headers: headers, stats: stats, meta: meta }, sheet);
+                if (!options.onSheet) return done(null, result);
+                options.onSheet(result, function(err) {
+                    if (err) return done(err);
+                    done(null, Object.assign({}, result, { image: null }));
+                });
+            });
+        });
+    });
+    rendering.awaitAll(function(err, results) {
+        if (err) return callback(err);
+        callback(null, { sheets: results, manifest: manifest });
+    });
+};
+
+// Largest zoom at which bbox fits in a width x height canvas, leaving
+// `padding` pixels free on every side. Clamped to [minZoom, maxZoom] and
+// to the zoom levels of `options.grid`.
+abaculus.fitZoom = function(bbox, width, height, options) {
+    options = options || {};
+    var grid = gridOf(options.grid),
+        padding = options.padding || 0,
+        minZoom = options.minZoom || 0,
+        maxZoom = Math.min(options.maxZoom === undefined ? 22 : options.maxZoom, grid.maxZoom),
+        tileSize = options.tileSize || grid.tileSize;
+
+    if (bbox[3] < bbox[1] || (bbox[0] > bbox[2] && !grid.wrap)) throw new errors.InvalidArgumentError('Incorrect coordinates', 'bbox');
+    var room = [width - 2 * padding, height - 2 * padding];
+
+    // Zoom levels that do not double each other are tried one by one.
+    if (!grid.quadtree) {
+        for (var z = maxZoom; z > minZoom; z--) {
+            var size = bboxSize(bbox, z, tileSize, grid);
+            if (size[0] <= room[0] && size[1] <= room[1]) return z;
+        }
+        return minZoom;
+    }
+
+    // bbox extent in pixels at zoom 0
+    var extent = bboxSize(bbox, 0, tileSize, grid);
+    var zx = extent[0] ? Math.log(room[0] / extent[0]) / Math.LN2 : Infinity,
+        zy = extent[1] ? Math.log(room[1] / extent[1]) / Math.LN2 : Infinity;
+
+    return Math.max(minZoom, Math.min(maxZoom, Math.floor(Math.min(zx, zy))));
+};
+
+abaculus.coordsFromBbox = function(z, s, bbox, limit, tileSize, grid) {
+    grid = gridOf(grid);
+    var topRight = grid.px([bbox[2], bbox[3]], z, tileSize),
+        bottomLeft = grid.px([bbox[0], bbox[1]], z, tileSize);
     var center = {};
     center.w = topRight[0] - bottomLeft[0];
     center.h = bottomLeft[1] - topRight[1];
+    // A west edge east of the east edge means the bbox crosses the
+    // antimeridian; tileList wraps the columns past it. Grids that do not
+    // wrap have no room for that.
+    if (bbox[0] > bbox[2]) center.w += grid.worldWidth(z, tileSize);
 
-    if (center.w <= 0 || center.h <= 0) throw new Error('Incorrect coordinates');
+    if (center.w <= 0 || center.h <= 0) throw new errors.InvalidArgumentError('Incorrect coordinates', 'bbox');
 
     var origin = [topRight[0] - center.w / 2, topRight[1] + center.h / 2];
     center.x = origin[0];
@@ -52,25 +344,35 @@ abaculus.coordsFromBbox = function(z, s, bbox, limit, tileSize) {
     center.w = Math.round(center.w * s);
     center.h = Math.round(center.h * s);
 
-    if (center.w >= limit || center.h >= limit) throw new Error('Desired image is too large.');
+    if (center.w >= limit || center.h >= limit) {
+        throw new errors.ImageTooLargeError('Desired image is too large.', center.w, center.h, limit);
+    }
     return center;
 };
 
-abaculus.coordsFromCenter = function(z, s, center, limit, tileSize) {
-    var sm = new SphericalMercator({ size: tileSize * s });
-    var origin = sm.px([center.x, center.y], z);
+abaculus.coordsFromCenter = function(z, s, lngLat, limit, tileSize, grid) {
+    var origin = gridOf(grid).px([lngLat.x, lngLat.y], z, tileSize);
+    var center = {};
     center.x = origin[0];
     center.y = origin[1];
-    center.w = Math.round(center.w * s);
-    center.h = Math.round(center.h * s);
+    center.w = Math.round(lngLat.w * s);
+    center.h = Math.round(lngLat.h * s);
 
-    if (center.w >= limit || center.h >= limit) throw new Error('Desired image is too large.');
+    if (center.w >= limit || center.h >= limit) {
+        throw new errors.ImageTooLargeError('Desired image is too large.', center.w, center.h, limit);
+    }
     return center;
 };
 
 // Generate the zxy and px/py offsets needed for each tile in a static image.
 // x, y are center coordinates in pixels
-abaculus.tileList = function(z, s, center, tileSize) {
+// A bearing (degrees clockwise) rotates the map so that direction is up.
+// Tiles are numbered the way `grid` numbers them, Web Mercator XYZ by
+// default.
+abaculus.tileList = function(z, s, center, tileSize, bearing, grid) {
+    grid = gridOf(grid);
+    if (z % 1 || z < 0 || bearing % 360) return resampledTileList(z, s, center, tileSize, bearing, grid);
+
     var x = center.x,
         y = center.y,
         w = center.w,
@@ -113,7 +415,7 @@ abaculus.tileList = function(z, s, center, tileSize) {
         };
     }
 
-    var maxTilesInRow = Math.pow(2, z);
+    var matrix = grid.matrix(z);
     var tl = floorObj(pointCoordinate({x: 0, y:0}));
     var br = floorObj(pointCoordinate(dimensions));
     var coords = {};
@@ -129,14 +431,18 @@ abaculus.tileList = function(z, s, center, tileSize) {
             var p = coordinatePoint(c);
 
             // Wrap tiles with negative coordinates.
-            c.column = c.column % maxTilesInRow;
-            if (c.column < 0) c.column = maxTilesInRow + c.column;
+            if (grid.wrap) {
+                c.column = c.column % matrix.width;
+                if (c.column < 0) c.column = matrix.width + c.column;
+            } else if (c.column < 0 || c.column >= matrix.width) {
+                continue;
+            }
 
-            if (c.row < 0 || c.row >= maxTilesInRow) continue;
+            if (c.row < 0 || c.row >= matrix.height) continue;
             coords.tiles.push({
                 z: c.zoom,
                 x: c.column,
-                y: c.row,
+                y: grid.sourceRow(z, c.row),
                 px: Math.round(p.x),
                 py: Math.round(p.y)
             });
@@ -149,90 +455,633 @@ abaculus.tileList = function(z, s, center, tileSize) {
     return coords;
 };
 
-abaculus.stitchTiles = function(coords, format, quality, getTile, callback) {
-    if (!coords) return callback(new Error('No coords object.'));
-    var tileQueue = queue(32);
-    var w = coords.dimensions.x,
-        h = coords.dimensions.y,
-        s = coords.scale,
-        tiles = coords.tiles;
+// options: see lib/fetch.js for the tile fetching options. `tileSize` is
+// the size of the source tiles at scale 1, default 256. `concurrency`
+// bounds the getTile calls in flight, default 32. `signal` is an
+// AbortSignal-style object that cancels the stitch. `cache` is a
+// TileCache shared between calls; tiles are keyed by `cacheKey`, or by
+// the getTile function when it is not given. With a mapnik XML `style`
+// (and `styleBase` for its relative paths) getTile returns vector tiles,
+// rendered with the style before stitching. `draw(image, tileHeaders,
+// callback)` may draw on the stitched, premultiplied mapnik.Image before
+// it is encoded.
+// `cacheControl` overrides the composed Cache-Control header (see
+// lib/headers.js). When `ifNoneMatch` or `ifModifiedSince` match the
+// composed headers, nothing is stitched and the image is null. `grid` is
+// the TileGrid coords were listed for, Web Mercator XYZ by default.
+// `onProgress(event)` is told about each phase and tile as it happens
+// (see lib/stats.js); abaculus() passes its own `progress` instead.
+abaculus.stitchTiles = function(coords, format, quality, getTile, options, callback) {
+    if (typeof options === 'function') {
+        callback = options;
+        options = {};
+    }
+    options = options || {};
+    if (typeof callback !== 'function') return promised(abaculus.stitchTiles, [coords, format, quality, getTile, options]);
+    if (!coords) return deliver(callback, new errors.InvalidArgumentError('No coords object.', 'coords'));
+    if (!options.progress) options = Object.assign({}, options, { progress: new Progress(options.onProgress) });
+    var progress = options.progress;
 
-    tiles.forEach(function(t) {
-        tileQueue.defer(function(z, x, y, px, py, done) {
-            var cb = function(err, buffer, headers, stats) {
+    progress.phase('fetch');
+    fetchTiles(coords, format, getTile, options, function(err, fetched, tileHeaders, stats) {
+        if (err) return callback(err);
+        var headers = headerReduce(tileHeaders, format, options.cacheControl);
+        if (httpHeaders.notModified(headers, options)) return callback(null, null, headers, timed(stats, progress));
+
+        if (options.style) progress.phase('render');
+        renderTiles(fetched, options, coords.scale, function(err) {
+            if (err) return callback(err);
+            var data = placeTiles(coords, fetched);
+
+            progress.phase('blend');
+            if (aborted(options)) return callback(new errors.AbortError());
+            if (coords.resample || options.draw || BLEND_FORMATS.indexOf(format) === -1) {
+                return canvas(coords, data, function(err, image) {
+                    if (err) return callback(err);
+                    encode(image, format, quality, tileHeaders, options, function(err, buffer) {
+                        if (err) return callback(err);
+                        callback(null, buffer, headers, timed(stats, progress));
+                    });
+                });
+            }
+
+            // blend encodes png and jpeg itself, within the 'blend' phase
+            blend(data, {
+                format: format,
+                quality: quality,
+                width: coords.dimensions.x,
+                height: coords.dimensions.y,
+                reencode: true
+            }, function(err, buffer) {
+                if (err) return callback(err);
+                callback(null, buffer, headers, timed(stats, progress));
+            });
+        });
+    });
+};
+
+// Stitch each of `layers` into its own canvas and composite them in order
+// with their `compOp` and `opacity`. Layers are fetched at the same time,
+// sharing `options.concurrency` tiles in flight. A layer whose tileSize
+// differs from `tileSize` is drawn from the zoom where its tiles cover the
+// same world size.
+function stitchLayers(layers, z, s, center, tileSize, bearing, format, quality, options, callback) {
+    var progress = options.progress,
+        limit = limiter(options.concurrency || 32);
+
+    progress.phase('fetch');
+    var fetching = queue();
+    layers.forEach(function(layer, i) {
+        fetching.defer(function(done) {
+            var size = layer.tileSize || tileSize,
+                coords;
+            try {
+                coords = abaculus.tileList(z + Math.log2(tileSize / size), s, center, size, bearing, options.grid);
+            } catch (err) {
+                return done(err);
+            }
+            var layerOptions = Object.assign({}, options, {
+                layer: i,
+                limit: limit,
+                cacheKey: layer.cacheKey || (options.cacheKey && options.cacheKey + '/' + i),
+                style: layer.style,
+                styleBase: layer.styleBase
+            });
+            LAYER_OPTIONS.forEach(function(k) {
+                if (layer[k] !== undefined) layerOptions[k] = layer[k];
+            });
+            fetchTiles(coords, format, layer.getTile, layerOptions, function(err, fetched, headers, stats, samples) {
                 if (err) return done(err);
-                done(err, {
-                    buffer: buffer,
+                done(null, {
+                    layer: layer,
+                    coords: coords,
+                    fetched: fetched,
+                    options: layerOptions,
                     headers: headers,
-                    stats: stats || {},
-                    x: px,
-                    y: py,
-                    reencode: true
-                })
-            };
-            cb.scale = s;
-            cb.format = format;
+                    stats: stats,
+                    samples: samples
+                });
+            });
+        });
+    });
+
+    fetching.awaitAll(function(err, sources) {
+        if (err) return callback(err);
+        var tileHeaders = [],
+            samples = [];
+        sources.forEach(function(source) {
+            tileHeaders = tileHeaders.concat(source.headers);
+            samples = samples.concat(source.samples);
+        });
+        var headers = headerReduce(tileHeaders, format, options.cacheControl),
+            stats = Object.assign(mergeStats(sources.map(function(source) { return source.stats; })), summarize(samples));
+        if (httpHeaders.notModified(headers, options)) return callback(null, null, headers, timed(stats, progress));
+
+        var base;
+        try {
+            base = raster.canvas(center.w, center.h);
+        } catch (err) {
+            return callback(err);
+        }
+        var drawing = queue(1);
+        sources.forEach(function(source) {
+            drawing.defer(function(done) {
+                if (source.options.style) progress.phase('render');
+                renderTiles(source.fetched, source.options, s, function(err) {
+                    if (err) return done(err);
+                    progress.phase('blend');
+                    if (aborted(options)) return done(new errors.AbortError());
+                    canvas(source.coords, placeTiles(source.coords, source.fetched), function(err, image) {
+                        if (err) return done(err);
+                        raster.composite(base, image, source.layer.compOp, source.layer.opacity, done);
+                    });
+                });
+            });
+        });
+        drawing.awaitAll(function(err) {
+            if (err) return callback(err);
+            encode(base, format, quality, tileHeaders, options, function(err, buffer) {
+                if (err) return callback(err);
+                callback(null, buffer, headers, timed(stats, progress));
+            });
+        });
+    });
+}
+
+// A `limit(task)` running each `task(release)` once fewer than `n` tasks
+// are running; `release()` frees the slot of a task that is done.
+function limiter(n) {
+    var running = 0,
+        waiting = [];
+    return function limit(task) {
+        if (running >= n) {
+            waiting.push(task);
+            return;
+        }
+        running++;
+        task(function() {
+            running--;
+            if (waiting.length) limit(waiting.shift());
+        });
+    };
+}
+
+// Per-layer overrides of the fetch options.
+var LAYER_OPTIONS = ['tileSize', 'timeout', 'retries', 'retryDelay', 'missingTile', 'missingTileColor'];
+
+// Fetch the tiles of `coords` through getTile, each z/x/y once. Calls
+// back with the `{ z, x, y, tile }` fetched, their headers, stats and the
+// `{ z, x, y, ms, bytes }` samples of the tiles getTile was called for.
+// Tiles are reported to `options.progress`, noting `options.layer`. The
+// layers of a render share their tiles in flight through `options.limit`
+// (see limiter()).
+function fetchTiles(coords, format, getTile, options, callback) {
+    // An AbortSignal-style `signal` stops fetching and skips blending.
+    var signal = options.signal;
+    if (signal && signal.aborted) return deliver(callback, new errors.AbortError());
+    if (signal) signal.addEventListener('abort', onAbort);
+
+    var tileQueue = queue(options.concurrency || 32),
+        limit = options.limit || function(task) {
+            task(function() {});
+        };
+    var s = coords.scale,
+        tiles = coords.tiles;
+
+    var cache = options.cache,
+        namespace = cache && (options.cacheKey || cache.namespace(getTile));
+    var progress = options.progress,
+        samples = [];
+
+    var stats = {
+        retries: 0,
+        failed: []
+    };
+    if (cache) stats.cache = { hits: 0, misses: 0 };
+    var fetchOptions = {
+        scale: s,
+        format: format,
+        tileSize: Math.floor((options.tileSize || 256) * s),
+        timeout: options.timeout,
+        retries: options.retries,
+        retryDelay: options.retryDelay,
+        missingTile: options.missingTile,
+        missingTileColor: options.missingTileColor,
+        bottomUp: gridOf(options.grid).bottomUp,
+        signal: signal,
+        onRetry: function() {
+            stats.retries++;
+        }
+    };
+
+    // World wrapping can place the same z/x/y several times; fetch each
+    // tile once and reuse it at every offset.
+    var seen = {};
+    tiles.forEach(function(t) {
+        var key = tileKey(t);
+        if (seen[key]) return;
+        seen[key] = true;
+
+        var where = { z: t.z, x: t.x, y: t.y };
+        if (options.layer !== undefined) where.layer = options.layer;
+        progress.tile('queued', where);
+
+        tileQueue.defer(function(z, x, y, done) {
             // getTile is a function that returns
             // a tile given z, x, y, & callback
-            getTile(z, x, y, cb);
-        }, t.z, t.x, t.y, t.px, t.py);
+            // or a Promise resolving to a tile.
+            limit(function(release) {
+                fetchCached(z, x, y, function(err, tile, sample) {
+                    release();
+                    if (err) {
+                        progress.tile('failed', Object.assign({ error: err.message }, where));
+                        return done(err);
+                    }
+                    if (sample) samples.push(Object.assign({}, where, sample));
+                    if (tile.substitute) {
+                        stats.failed.push({
+                            z: z,
+                            x: x,
+                            y: y,
+                            error: tile.error.message,
+                            substitute: tile.substitute
+                        });
+                        progress.tile('failed', Object.assign({ error: tile.error.message, substitute: tile.substitute }, where));
+                    } else {
+                        progress.tile('fetched', Object.assign({}, where, sample || { cached: true }));
+                    }
+                    done(null, { z: z, x: x, y: y, tile: tile });
+                });
+            });
+        }, t.z, t.x, t.y);
     });
 
-    function tileQueueFinish(err, data) {
+    // Calls back with the tile and, when getTile was called for it, how
+    // long that took and the bytes it returned.
+    function fetchCached(z, x, y, done) {
+        var sample = null;
+        function load(cb) {
+            var start = Date.now();
+            fetchTile(getTile, z, x, y, fetchOptions, function(err, tile) {
+                // Renders waiting on this fetch through the cache must not
+                // inherit this render's cancellation, whatever getTile made
+                // of it: they fetch again on an AbortError.
+                if (signal && signal.aborted && (err || tile.substitute)) err = new errors.AbortError();
+                if (!err) sample = { ms: Date.now() - start, bytes: tile.substitute || !tile.buffer ? 0 : tile.buffer.length };
+                cb(err, tile);
+            });
+        }
+        function loaded(err, tile) {
+            done(err, tile, sample);
+        }
+        if (!cache) return load(loaded);
+
+        var key = namespace + '/' + z + '/' + x + '/' + y + '@' + s + 'x.' + format;
+        cache.fetch(key, load, function(err, tile, hit) {
+            // a fetch shared with another render was cancelled by that render
+            if (err instanceof errors.AbortError && !(signal && signal.aborted)) return load(loaded);
+            stats.cache[hit ? 'hits' : 'misses']++;
+            loaded(err, tile);
+        });
+    }
+
+    function onAbort() {
+        tileQueue.abort();
+    }
+
+    tileQueue.awaitAll(function(err, fetched) {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        if (signal && signal.aborted) return callback(new errors.AbortError());
         if (err) return callback(err);
-        if (!data) return callback(new Error('No tiles to stitch.'));
-        var headers = [];
-        data.forEach(function(d) {
-            headers.push(d.headers);
+        if (!fetched) return callback(new Error('No tiles to stitch.'));
+        var headers = fetched.map(function(d) {
+            return d.tile.headers;
         });
 
-        var numTiles = data.length;
-        var renderTotal = data
+        var numTiles = fetched.length;
+        var renderTotal = fetched
             .map(function(d) {
-                return d.stats.render || 0;
+                return d.tile.stats.render || 0;
             })
             .reduce(function(acc, renderTime) {
                 return acc + renderTime;
             }, 0);
 
-        var stats = {
-            tiles: numTiles,
-            renderAvg: Math.round(renderTotal / numTiles)
-        };
+        stats.tiles = tiles.length;
+        stats.uniqueTiles = numTiles;
+        stats.placedTiles = tiles.length;
+        stats.renderAvg = Math.round(renderTotal / numTiles);
+        Object.assign(stats, summarize(samples));
+
+        callback(null, fetched, headers, stats, samples);
+    });
+}
 
-        blend(data, {
-            format: format,
-            quality: quality,
-            width: w,
-            height: h,
+// With a `style`, the fetched tiles are vector tiles: render each one
+// with the style, in place.
+function renderTiles(fetched, options, scale, callback) {
+    if (!options.style) return callback(null);
+    var renderer = new VectorRenderer(options.style, {
+        base: options.styleBase,
+        tileSize: options.tileSize,
+        scale: scale
+    });
+    var grid = gridOf(options.grid),
+        q = queue(options.concurrency || 32);
+    fetched.forEach(function(d) {
+        // substituted tiles are images already
+        if (d.tile.substitute) return;
+        q.defer(function(done) {
+            // vector tiles are addressed XYZ
+            renderer.render(d.tile.buffer, d.z, d.x, grid.sourceRow(d.z, d.y), function(err, buffer) {
+                if (err) return done(err);
+                d.tile = Object.assign({}, d.tile, { buffer: buffer });
+                done();
+            });
+        });
+    });
+    q.awaitAll(function(err) {
+        callback(err || null);
+    });
+}
+
+// blend's list of placed tiles: every tile of `coords` with the buffer
+// fetched for its z/x/y.
+function placeTiles(coords, fetched) {
+    var byKey = {};
+    fetched.forEach(function(d) {
+        byKey[tileKey(d)] = d.tile;
+    });
+    return coords.tiles.map(function(t) {
+        return {
+            buffer: byKey[tileKey(t)].buffer,
+            x: t.px,
+            y: t.py,
             reencode: true
-        }, function(err, buffer) {
-            if (err) return callback(err);
-            callback(null, buffer, headerReduce(headers, format), stats);
+        };
+    });
+}
+
+// Stitch placed tiles losslessly into the source canvas of `coords` and
+// resample it to the requested dimensions if needed. Calls back with a
+// premultiplied mapnik.Image.
+function canvas(coords, data, callback) {
+    var source = coords.resample || { width: coords.dimensions.x, height: coords.dimensions.y };
+    blend(data, {
+        format: 'png',
+        width: source.width,
+        height: source.height,
+        reencode: true
+    }, function(err, buffer) {
+        if (err) return callback(err);
+        var image;
+        try {
+            image = raster.decode(buffer);
+        } catch (err) {
+            return callback(err);
+        }
+        if (!coords.resample) return callback(null, image);
+        raster.transform(image, coords.dimensions.x, coords.dimensions.y, coords.resample.matrix, callback);
+    });
+}
+
+// Let `options.draw` draw on the image, then encode it with mapnik, which
+// knows more formats than blend.
+function encode(image, format, quality, tileHeaders, options, callback) {
+    var progress = options.progress;
+    if (aborted(options)) return callback(new errors.AbortError());
+    if (!options.draw) {
+        progress.phase('encode');
+        return raster.encode(image, format, quality, callback);
+    }
+    progress.phase('draw');
+    options.draw(image, tileHeaders, function(err) {
+        if (err) return callback(err);
+        if (aborted(options)) return callback(new errors.AbortError());
+        progress.phase('encode');
+        raster.encode(image, format, quality, callback);
+    });
+}
+
+// Whether `options.signal` cancelled the render after its tiles arrived.
+function aborted(options) {
+    return !!(options.signal && options.signal.aborted);
+}
+
+// `stats` with the ms spent in each phase, once the last one is over.
+// `encode` is always there: 0 when blend encoded the image.
+function timed(stats, progress) {
+    stats.timings = Object.assign({}, progress.end());
+    if (stats.timings.encode === undefined) stats.timings.encode = 0;
+    return stats;
+}
+
+// Stats of a layered render: totals over all layers, with each layer's
+// own stats in `layers`. Failed tiles note the index of their layer.
+function mergeStats(list) {
+    var stats = {
+        retries: 0,
+        failed: [],
+        tiles: 0,
+        uniqueTiles: 0,
+        placedTiles: 0,
+        renderAvg: 0,
+        layers: list
+    };
+    var renderTotal = 0;
+    list.forEach(function(layer, i) {
+        stats.retries += layer.retries;
+        stats.failed = stats.failed.concat(layer.failed.map(function(f) {
+            return Object.assign({ layer: i }, f);
+        }));
+        stats.tiles += layer.tiles;
+        stats.uniqueTiles += layer.uniqueTiles;
+        stats.placedTiles += layer.placedTiles;
+        renderTotal += layer.renderAvg * layer.uniqueTiles;
+        if (layer.cache) {
+            stats.cache = stats.cache || { hits: 0, misses: 0 };
+            stats.cache.hits += layer.cache.hits;
+            stats.cache.misses += layer.cache.misses;
+        }
+    });
+    stats.renderAvg = stats.uniqueTiles ? Math.round(renderTotal / stats.uniqueTiles) : 0;
+    return stats;
+}
+
+// Tiles for a fractional zoom or a rotated map come from the nearest
+// integer zoom, and tiles for zoom levels below 0 for layers with a larger
+// tileSize come from zoom 0. They are stitched into a source canvas large
+// enough to hold the scaled and rotated viewport, which `resample.matrix`
+// then maps onto the w x h output.
+function resampledTileList(z, s, center, tileSize, bearing, grid) {
+    var size = tileSize || grid.tileSize;
+    var tz = Math.min(grid.maxZoom, Math.max(0, Math.round(z))),
+        k = grid.zoomScale(z, tz, size);
+    var cos = Math.cos((bearing || 0) * D2R),
+        sin = Math.sin((bearing || 0) * D2R);
+    // Envelope of the rotated viewport, in output pixels.
+    var envW = Math.abs(center.w * cos) + Math.abs(center.h * sin),
+        envH = Math.abs(center.w * sin) + Math.abs(center.h * cos);
+    var at = grid.rezoom([center.x, center.y], z, tz, size);
+    var source = {
+        x: at[0],
+        y: at[1],
+        w: Math.ceil(envW / k) + 2,
+        h: Math.ceil(envH / k) + 2
+    };
+    var coords = abaculus.tileList(tz, s, source, size, 0, grid);
+
+    // Pixel p of the source canvas shows world pixel p - shift at zoom tz
+    // (see coordinatePoint in tileList). Output pixel (i, j) lies (dx, dy)
+    // from the output center; rotating that offset by the bearing gives
+    // the world pixel offset at zoom z, and dividing by k moves it to tz.
+    var shiftX = Math.round(source.w / 2 - source.x * s),
+        shiftY = Math.round(source.h / 2 - source.y * s);
+    var cx = source.x * s,
+        cy = source.y * s,
+        hw = center.w / 2,
+        hh = center.h / 2;
+    coords.dimensions = { x: center.w, y: center.h };
+    coords.resample = {
+        width: source.w,
+        height: source.h,
+        matrix: [
+            cos / k, sin / k, -sin / k, cos / k,
+            cx + (-hw * cos + hh * sin) / k + shiftX,
+            cy + (-hw * sin - hh * cos) / k + shiftY
+        ]
+    };
+    return coords;
+}
+
+// Zoom, scale and pixel center/size of the image described by validated
+// abaculus() parameters. Throws when the image is too large or the bbox
+// is empty.
+function place(arg) {
+    var z = arg.zoom || 0,
+        s = arg.scale || 1,
+        center = arg.center || null,
+        bbox = arg.bbox || null,
+        limit = arg.limit || 19008,
+        grid = gridOf(arg.grid),
+        tileSize = arg.tileSize || grid.tileSize;
+
+    // A bbox with a target width/height picks its own zoom and is
+    // centered in the requested canvas.
+    if (!center && isFitMode(arg)) {
+        z = abaculus.fitZoom(bbox, arg.width, arg.height, {
+            padding: arg.padding,
+            minZoom: arg.minZoom,
+            maxZoom: arg.maxZoom,
+            tileSize: tileSize,
+            grid: grid
         });
+        center = bboxCenter(bbox, grid);
+        center.w = arg.width;
+        center.h = arg.height;
     }
 
-    tileQueue.awaitAll(tileQueueFinish);
-};
+    if (center) {
+        // get center coordinates in px from lng,lat
+        center = abaculus.coordsFromCenter(z, s, center, limit, tileSize, grid);
+    } else {
+        // get center coordinates in px from [w,s,e,n] bbox
+        center = abaculus.coordsFromBbox(z, s, bbox, limit, tileSize, grid);
+    }
+    return { zoom: z, scale: s, center: center };
+}
+
+function noop() {}
+
+// The TileGrid for a `grid` parameter. Throws for unknown grids.
+function gridOf(grid) {
+    var found = grids.get(grid);
+    if (!found) throw new errors.InvalidArgumentError('grid must be a TileGrid or one of webmercator, tms, wgs84', 'grid');
+    return found;
+}
+
+function tileKey(t) {
+    return t.z + '/' + t.x + '/' + t.y;
+}
+
+function isFitMode(arg) {
+    return arg.bbox && arg.width !== undefined && arg.height !== undefined;
+}
+
+// Width and height in pixels at zoom z of a [w,s,e,n] bbox.
+function bboxSize(bbox, z, tileSize, grid) {
+    var sw = grid.point([bbox[0], bbox[1]], z, tileSize),
+        ne = grid.point([bbox[2], bbox[3]], z, tileSize);
+    var width = ne[0] - sw[0];
+    if (bbox[0] > bbox[2]) width += grid.worldWidth(z, tileSize);
+    return [width, sw[1] - ne[1]];
+}
+
+// lng,lat at the projected middle of a [w,s,e,n] bbox.
+function bboxCenter(bbox, grid) {
+    var sw = grid.point([bbox[0], bbox[1]], 0),
+        ne = grid.point([bbox[2], bbox[3]], 0);
+    if (bbox[0] > bbox[2]) ne[0] += grid.worldWidth(0);
+    var middle = grid.ll([(sw[0] + ne[0]) / 2, (sw[1] + ne[1]) / 2], 0);
+    return {
+        x: grid.wrap ? wrapLng(middle[0]) : middle[0],
+        y: middle[1]
+    };
+}
+
+// [w,s,e,n] covered by an image centered on center.x/y (tileSize pixels)
+// and center.w/h pixels wide and high at scale s. For a rotated image
+// this is the envelope of its four corners. Images narrower than the
+// world get longitudes within [-180, 180], west > east when they cross
+// the antimeridian.
+function renderedBounds(z, s, center, tileSize, bearing, grid) {
+    var cos = Math.cos((bearing || 0) * D2R),
+        sin = Math.sin((bearing || 0) * D2R);
+    var halfW = center.w / s / 2,
+        halfH = center.h / s / 2;
+    var corners = [[-halfW, -halfH], [halfW, -halfH], [halfW, halfH], [-halfW, halfH]].map(function(c) {
+        return [center.x + c[0] * cos - c[1] * sin, center.y + c[0] * sin + c[1] * cos];
+    });
+    var xs = corners.map(function(c) { return c[0]; }),
+        ys = corners.map(function(c) { return c[1]; });
+    var nw = grid.ll([Math.min.apply(Math, xs), Math.min.apply(Math, ys)], z, tileSize),
+        se = grid.ll([Math.max.apply(Math, xs), Math.max.apply(Math, ys)], z, tileSize);
+    if (grid.wrap && se[0] - nw[0] < 360) {
+        if (nw[0] < -180) nw[0] += 360;
+        if (se[0] > 180) se[0] -= 360;
+    }
+    return [nw[0], se[1], se[0], nw[1]];
+}
+
+// Run a callback-style function and expose its result as a Promise
+// resolving to `{ image, headers, stats, meta }`.
+function promised(fn, args) {
+    return new Promise(function(resolve, reject) {
+        fn.apply(null, args.concat(function(err, image, headers, stats, meta) {
+            if (err) return reject(err);
+            resolve({ image: image, headers: headers, stats: stats, meta: meta });
+        }));
+    });
+}
+
+// Errors are always delivered asynchronously, never thrown
+// or called back before the caller's function returns.
+function deliver(callback, err) {
+    process.nextTick(callback, err);
+}
 
 // Calculate TTL from newest (max mtime) layer.
-function headerReduce(headers, format) {
+function headerReduce(headers, format, cacheControl) {
     var minmtime = new Date('Sun, 23 Feb 2014 18:00:00 UTC');
     var composed = {};
 
-    composed['Cache-Control'] = 'max-age=3600';
+    composed['Cache-Control'] = httpHeaders.cacheControl(headers, cacheControl);
 
-    switch (format) {
-    case 'vector.pbf':
+    if (format === 'vector.pbf') {
         composed['Content-Type'] = 'application/x-protobuf';
         composed['Content-Encoding'] = 'deflate';
-        break;
-    case 'jpeg':
-        composed['Content-Type'] = 'image/jpeg';
-        break;
-    case 'png':
-        composed['Content-Type'] = 'image/png';
-        break;
+    } else if (formats.contentType(format)) {
+        composed['Content-Type'] = formats.contentType(format);
     }
 
     var times = headers.reduce(function(memo, h) {
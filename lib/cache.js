@@ -0,0 +1,112 @@
+'use strict';
+
+var headers = require('./headers');
+
+// In-memory LRU cache of fetched tiles, bounded by the total size of the
+// tile buffers. One cache can be shared by many abaculus() calls: tiles
+// fetched by one render are reused by the next, and concurrent renders
+// asking for the same tile share a single getTile call.
+//
+// Tiles are kept with their headers, so ETag and Last-Modified of a cached
+// tile still feed the composed headers. `Cache-Control: no-store` and
+// `no-cache` tiles are never cached; `max-age`/`s-maxage` or `Expires`
+// bound how long a tile is reused, falling back to `options.maxAge`.
+//
+// options:
+// - maxBytes: total buffer size to keep, default 64MB
+// - maxAge: ms to keep tiles without caching headers, default forever
+function TileCache(options) {
+    options = options || {};
+    this.maxBytes = options.maxBytes || 64 * 1024 * 1024;
+    this.maxAge = options.maxAge === undefined ? Infinity : options.maxAge;
+    this.bytes = 0;
+    this._entries = new Map();
+    this._pending = new Map();
+    this._namespaces = new WeakMap();
+    this._nextNamespace = 0;
+}
+
+// A key prefix unique to a getTile function, so one cache can serve
+// renders from different tile sources.
+TileCache.prototype.namespace = function(getTile) {
+    if (!this._namespaces.has(getTile)) this._namespaces.set(getTile, 'source' + this._nextNamespace++);
+    return this._namespaces.get(getTile);
+};
+
+TileCache.prototype.get = function(key) {
+    var entry = this._entries.get(key);
+    if (!entry) return undefined;
+    this._entries.delete(key);
+    if (entry.expires <= Date.now()) {
+        this.bytes -= entry.tile.buffer.length;
+        return undefined;
+    }
+    // re-insert to mark as most recently used
+    this._entries.set(key, entry);
+    return entry.tile;
+};
+
+TileCache.prototype.set = function(key, tile) {
+    // substituted tiles stand in for a failure and must be fetched again
+    if (tile.substitute || !Buffer.isBuffer(tile.buffer)) return;
+    var expires = expiry(tile.headers, this.maxAge);
+    var size = tile.buffer.length;
+    if (expires <= Date.now() || size > this.maxBytes) return;
+
+    this.delete(key);
+    this._entries.set(key, { tile: tile, expires: expires });
+    this.bytes += size;
+
+    // Map iterates in insertion order, least recently used first.
+    var keys = this._entries.keys();
+    while (this.bytes > this.maxBytes) this.delete(keys.next().value);
+};
+
+TileCache.prototype.delete = function(key) {
+    var entry = this._entries.get(key);
+    if (!entry) return;
+    this._entries.delete(key);
+    this.bytes -= entry.tile.buffer.length;
+};
+
+TileCache.prototype.clear = function() {
+    this._entries.clear();
+    this.bytes = 0;
+};
+
+// Get the tile for `key`, calling `fetcher(callback)` on a miss. Callers
+// asking for a key that is already being fetched wait for that fetch. A
+// fetch failing with an AbortError was cancelled by the caller that
+// started it; the others should fetch again. Calls back with (err, tile,
+// hit).
+TileCache.prototype.fetch = function(key, fetcher, callback) {
+    var cache = this;
+    var tile = this.get(key);
+    if (tile) return process.nextTick(callback, null, tile, true);
+
+    var waiting = this._pending.get(key);
+    if (waiting) return waiting.push(callback);
+
+    waiting = [callback];
+    this._pending.set(key, waiting);
+    fetcher(function(err, tile) {
+        cache._pending.delete(key);
+        if (!err) cache.set(key, tile);
+        waiting.forEach(function(cb, i) {
+            cb(err, tile, i > 0);
+        });
+    });
+};
+
+// Expiry time in ms since epoch for a tile with these headers.
+function expiry(tileHeaders, maxAge) {
+    var now = Date.now();
+    var f = headers.freshness(tileHeaders);
+    if (f.noStore || f.noCache) return now;
+    // this cache is shared between renders
+    var age = f.sMaxAge !== undefined ? f.sMaxAge : f.maxAge;
+    if (age !== undefined) return now + age * 1000;
+    return now + maxAge;
+}
+
+module.exports = TileCache;
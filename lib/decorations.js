@@ -0,0 +1,349 @@
+'use strict';
+
+var mapnik = require('@carto/mapnik');
+var headers = require('./headers');
+var xml = require('./mapnik-xml');
+
+var ANCHORS = ['top-left', 'top', 'top-right', 'bottom-left', 'bottom', 'bottom-right'];
+
+// Decorations in the order they stack from the edge when they share an
+// anchor, with their defaults. Sizes are pixels at scale 1.
+var ITEMS = {
+    title: { text: null, anchor: 'top', size: 18, color: '#222222', halo: '#ffffff' },
+    northArrow: { anchor: 'top-right', size: 32, color: '#222222', halo: '#ffffff' },
+    scaleBar: { units: 'metric', anchor: 'bottom-left', maxWidth: 100, size: 10, color: '#222222', halo: '#ffffff' },
+    attribution: { text: true, anchor: 'bottom-right', size: 10, color: '#333333', halo: '#ffffff' }
+};
+
+var FRAME = { margin: 0, width: 1, color: '#222222', background: '#ffffff' };
+
+// The option a decoration given as a string or number sets.
+var SHORTHANDS = { title: 'text', attribution: 'text', scaleBar: 'units', frame: 'margin' };
+
+// Pixels at scale 1 between the edges, the frame and decorations.
+var PADDING = 8;
+
+var FONT = 'DejaVu Sans Book',
+    BOLD_FONT = 'DejaVu Sans Bold';
+
+// Whether mapnik's default fonts are registered yet: scanning the font
+// directories takes a while, so it waits until the first text is drawn.
+var fontsRegistered = false;
+
+// Earth radius of Web Mercator, in meters.
+var RADIUS = 6378137;
+
+var METERS = { m: 1, km: 1000, ft: 0.3048, mi: 1609.344 };
+
+// Draw `decorations` (see README) onto a premultiplied mapnik.Image
+// placed by `viewport` at `scale`. `tileHeaders` are the headers of the
+// tiles under the image, read for attribution.
+function draw(image, decorations, viewport, scale, tileHeaders, callback) {
+    var items = layout(decorations, viewport, scale, tileHeaders);
+    if (!items.length) return callback(null, image);
+
+    var map;
+    try {
+        if (!fontsRegistered && items.some(function(item) { return item.kind === 'text'; })) {
+            mapnik.register_default_fonts();
+            fontsRegistered = true;
+        }
+        map = xml.pixelMap(image.width(), image.height(), items.map(function(item, i) {
+            return {
+                name: 'decoration' + i,
+                symbolizers: symbolizers(item),
+                features: [{ type: 'Feature', properties: { label: item.text || '' }, geometry: item.geometry }]
+            };
+        }));
+    } catch (err) {
+        return callback(err);
+    }
+    map.render(image, { scale: scale }, function(err) {
+        callback(err || null, image);
+    });
+}
+
+// The shapes and labels to draw, in image pixels. Each is `{ kind, style,
+// geometry }` with kind 'polygon', 'line' or 'text'.
+function layout(decorations, viewport, scale, tileHeaders) {
+    var width = viewport.width,
+        height = viewport.height,
+        shapes = [];
+
+    var inset = PADDING * scale;
+    var frame = option(decorations.frame, FRAME, SHORTHANDS.frame);
+    if (frame) {
+        var margin = frame.margin * scale,
+            edge = margin + frame.width * scale / 2;
+        if (margin > 0) {
+            shapes.push({ kind: 'polygon', style: { fill: frame.background }, geometry: polygon([
+                rectangle(0, 0, width, height),
+                rectangle(margin, margin, width - margin, height - margin).reverse()
+            ]) });
+        }
+        if (frame.width > 0) {
+            shapes.push({ kind: 'line', style: { stroke: frame.color, width: frame.width }, geometry: line(
+                rectangle(edge, edge, width - edge, height - edge)
+            ) });
+        }
+        inset += margin + frame.width * scale;
+    }
+
+    // the free space left at each anchor, from the top and the bottom
+    var top = {}, bottom = {};
+    ANCHORS.forEach(function(anchor) {
+        top[anchor] = inset;
+        bottom[anchor] = height - inset;
+    });
+
+    Object.keys(ITEMS).forEach(function(name) {
+        var item = option(decorations[name], ITEMS[name], SHORTHANDS[name]);
+        if (!item) return;
+        var box = BOXES[name](item, viewport, scale, tileHeaders);
+        if (!box) return;
+
+        var anchor = item.anchor,
+            x = /left$/.test(anchor) ? inset :
+                /right$/.test(anchor) ? width - inset - box.width :
+                (width - box.width) / 2,
+            y;
+        if (/^top/.test(anchor)) {
+            y = top[anchor];
+            top[anchor] += box.height + PADDING * scale;
+        } else {
+            y = bottom[anchor] - box.height;
+            bottom[anchor] -= box.height + PADDING * scale;
+        }
+        box.draw(x, y, align(anchor)).forEach(function(shape) {
+            shapes.push(shape);
+        });
+    });
+    return shapes;
+}
+
+// Each decoration as a box of `width` x `height` pixels with a
+// `draw(x, y, align)` returning its shapes placed at x, y. Text boxes are
+// 0 wide: text is aligned from x towards the middle of the image.
+var BOXES = {
+    title: function(item, viewport, scale) {
+        return text(item.text, item, BOLD_FONT, scale);
+    },
+    attribution: function(item, viewport, scale, tileHeaders) {
+        return text(item.text === true ? attribution(tileHeaders) : item.text, item, FONT, scale);
+    },
+    // A needle pointing north, with an N past its tip. The needle turns
+    // with `bearing`.
+    northArrow: function(item, viewport, scale) {
+        var size = item.size * scale,
+            label = item.size * 0.22,
+            r = size / 2 - label * scale * 1.1;
+        // north on the image, clockwise from up
+        var angle = -viewport.bearing * Math.PI / 180;
+        return {
+            width: size,
+            height: size,
+            draw: function(x, y) {
+                var cx = x + size / 2,
+                    cy = y + size / 2;
+                function at(dx, dy) {
+                    return [
+                        cx + (dx * Math.cos(angle) - dy * Math.sin(angle)) * r,
+                        cy + (dx * Math.sin(angle) + dy * Math.cos(angle)) * r
+                    ];
+                }
+                var tip = at(0, -1), tail = at(0, 0.6);
+                return [
+                    { kind: 'polygon', style: { fill: item.color, stroke: item.halo, width: 1 }, geometry: polygon([[tip, at(0.55, 0.9), tail, tip]]) },
+                    { kind: 'polygon', style: { fill: item.halo, stroke: item.color, width: 1 }, geometry: polygon([[tip, tail, at(-0.55, 0.9), tip]]) },
+                    labelAt(at(0, -1 - label * scale * 0.6 / r), 'N', {
+                        size: label, color: item.color, halo: item.halo, font: BOLD_FONT, align: 'middle', valign: 'middle'
+                    })
+                ];
+            }
+        };
+    },
+    scaleBar: function(item, viewport, scale) {
+        var bar = scaleBar(viewport, item.maxWidth * scale, item.units);
+        if (!bar) return null;
+        var tick = 5 * scale,
+            labelHeight = lineHeight(item.size, scale);
+        return {
+            width: bar.width,
+            height: labelHeight + tick,
+            draw: function(x, y) {
+                var base = y + labelHeight + tick;
+                var path = [[x, base - tick], [x, base], [x + bar.width, base], [x + bar.width, base - tick]];
+                return [
+                    { kind: 'line', style: { stroke: item.halo, width: 4 }, geometry: line(path) },
+                    { kind: 'line', style: { stroke: item.color, width: 1.5 }, geometry: line(path) },
+                    labelAt([x + bar.width / 2, y], bar.label, {
+                        size: item.size, color: item.color, halo: item.halo, font: FONT, align: 'middle', valign: 'bottom'
+                    })
+                ];
+            }
+        };
+    }
+};
+
+// A box for a line of text, or null without text.
+function text(value, item, font, scale) {
+    if (!value) return null;
+    return {
+        width: 0,
+        height: lineHeight(item.size, scale),
+        draw: function(x, y, align) {
+            return [labelAt([x, y], value, {
+                size: item.size, color: item.color, halo: item.halo, font: font, align: align, valign: 'bottom'
+            })];
+        }
+    };
+}
+
+// The longest round distance fitting in `maxWidth` pixels across the
+// middle of the image: `{ width, label }` with width in pixels, or null
+// where the map has no usable scale.
+function scaleBar(viewport, maxWidth, units) {
+    var cx = viewport.width / 2,
+        cy = viewport.height / 2;
+    var a = viewport.unproject([cx - maxWidth / 2, cy]),
+        b = viewport.unproject([cx + maxWidth / 2, cy]);
+    var metersPerPixel = distance(a, b) / maxWidth;
+    if (!(metersPerPixel > 0)) return null;
+
+    var meters = maxWidth * metersPerPixel,
+        unit = units === 'imperial' ?
+            (meters >= METERS.mi ? 'mi' : 'ft') :
+            (meters >= METERS.km ? 'km' : 'm');
+    var value = round(meters / METERS[unit]);
+    return {
+        width: value * METERS[unit] / metersPerPixel,
+        label: value + ' ' + unit
+    };
+}
+
+// Largest 1, 2 or 5 times a power of ten not above `value`.
+function round(value) {
+    var power = Math.pow(10, Math.floor(Math.log(value) / Math.LN10)),
+        leading = value / power;
+    return parseFloat(((leading >= 5 ? 5 : leading >= 2 ? 2 : 1) * power).toPrecision(1));
+}
+
+// Great circle distance in meters between two [lng, lat].
+function distance(a, b) {
+    var R = Math.PI / 180;
+    var dLat = (b[1] - a[1]) * R,
+        dLng = (b[0] - a[0]) * R;
+    var h = Math.pow(Math.sin(dLat / 2), 2) +
+        Math.cos(a[1] * R) * Math.cos(b[1] * R) * Math.pow(Math.sin(dLng / 2), 2);
+    return 2 * RADIUS * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+// Attribution of the tiles: the distinct `X-Attribution` headers in the
+// order they were first seen, with HTML tags dropped, joined with ' | '.
+function attribution(tileHeaders) {
+    var seen = [];
+    (tileHeaders || []).forEach(function(h) {
+        var value = headers.header(h, 'x-attribution');
+        if (!value) return;
+        value = plain(String(value));
+        if (value && seen.indexOf(value) === -1) seen.push(value);
+    });
+    return seen.join(' | ');
+}
+
+function plain(html) {
+    return html
+        .replace(/<[^>]*>/g, '')
+        .replace(/&copy;/g, '©')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&amp;/g, '&')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// The options of a decoration with defaults filled in, or null when it
+// is left out. `true` draws it with its defaults and any other value sets
+// its `shorthand` option.
+function option(value, defaults, shorthand) {
+    if (value === undefined || value === null || value === false) return null;
+    var given = {};
+    if (typeof value === 'object') given = value;
+    else if (value !== true) given[shorthand] = value;
+    var result = {};
+    Object.keys(defaults).forEach(function(k) {
+        result[k] = given[k] === undefined ? defaults[k] : given[k];
+    });
+    return result;
+}
+
+// Horizontal alignment of text placed at an anchor: away from the edge.
+function align(anchor) {
+    return /left$/.test(anchor) ? 'right' : /right$/.test(anchor) ? 'left' : 'middle';
+}
+
+function lineHeight(size, scale) {
+    return Math.ceil(size * 1.3 * scale);
+}
+
+function labelAt(point, value, style) {
+    return { kind: 'text', style: style, text: value, geometry: { type: 'Point', coordinates: flip(point) } };
+}
+
+function rectangle(x0, y0, x1, y1) {
+    return [[x0, y0], [x1, y0], [x1, y1], [x0, y1], [x0, y0]];
+}
+
+function polygon(rings) {
+    return { type: 'Polygon', coordinates: rings.map(function(ring) { return ring.map(flip); }) };
+}
+
+function line(points) {
+    return { type: 'LineString', coordinates: points.map(flip) };
+}
+
+// Image pixels to map units, y pointing up.
+function flip(p) {
+    return [p[0], -p[1]];
+}
+
+function symbolizers(shape) {
+    var style = shape.style;
+    if (shape.kind === 'text') {
+        // mapnik places 'right' aligned text right of the point and
+        // 'bottom' aligned text below it
+        return '<TextSymbolizer' + xml.attributes({
+            'face-name': style.font,
+            'size': style.size,
+            'fill': style.color,
+            'halo-fill': style.halo,
+            'halo-radius': 1.5,
+            'placement': 'point',
+            'horizontal-alignment': style.align,
+            'vertical-alignment': style.valign,
+            'allow-overlap': 'true',
+            'avoid-edges': 'false'
+        }) + '>[label]</TextSymbolizer>';
+    }
+    var symbolizer = '';
+    if (style.fill) symbolizer += xml.tag('PolygonSymbolizer', { 'fill': style.fill });
+    if (style.stroke && style.width > 0) {
+        symbolizer += xml.tag('LineSymbolizer', {
+            'stroke': style.stroke,
+            'stroke-width': style.width,
+            'stroke-linejoin': 'miter',
+            'stroke-linecap': 'butt'
+        });
+    }
+    return symbolizer;
+}
+
+module.exports = draw;
+module.exports.ANCHORS = ANCHORS;
+module.exports.ITEMS = ITEMS;
+module.exports.SHORTHANDS = SHORTHANDS;
+module.exports.layout = layout;
+module.exports.scaleBar = scaleBar;
+module.exports.attribution = attribution;
@@ -0,0 +1,56 @@
+'use strict';
+
+var util = require('util');
+
+// Base class for errors reported by abaculus. `code` is stable and
+// meant for programmatic checks; `message` is meant for humans.
+function AbaculusError(message, code) {
+    Error.call(this);
+    Error.captureStackTrace(this, this.constructor);
+    this.name = this.constructor.name;
+    this.message = message;
+    this.code = code;
+}
+util.inherits(AbaculusError, Error);
+
+// A parameter is missing, has the wrong type or is out of range.
+// `argument` names the offending parameter.
+function InvalidArgumentError(message, argument) {
+    AbaculusError.call(this, message, 'INVALID_ARGUMENT');
+    this.argument = argument;
+}
+util.inherits(InvalidArgumentError, AbaculusError);
+
+// The requested image exceeds `limit` pixels in width or height.
+function ImageTooLargeError(message, width, height, limit) {
+    AbaculusError.call(this, message, 'IMAGE_TOO_LARGE');
+    this.width = width;
+    this.height = height;
+    this.limit = limit;
+}
+util.inherits(ImageTooLargeError, AbaculusError);
+
+// getTile failed for the tile at z/x/y. The original error is kept as `cause`.
+function TileFetchError(z, x, y, cause) {
+    var reason = cause && cause.message ? cause.message : String(cause);
+    AbaculusError.call(this, 'Failed to fetch tile ' + [z, x, y].join('/') + ': ' + reason, 'TILE_FETCH_FAILED');
+    this.z = z;
+    this.x = x;
+    this.y = y;
+    this.cause = cause;
+}
+util.inherits(TileFetchError, AbaculusError);
+
+// The operation was cancelled through its `signal`.
+function AbortError(message) {
+    AbaculusError.call(this, message || 'The operation was aborted.', 'ABORTED');
+}
+util.inherits(AbortError, AbaculusError);
+
+module.exports = {
+    AbaculusError: AbaculusError,
+    InvalidArgumentError: InvalidArgumentError,
+    ImageTooLargeError: ImageTooLargeError,
+    TileFetchError: TileFetchError,
+    AbortError: AbortError
+};
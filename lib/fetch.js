@@ -0,0 +1,158 @@
+'use strict';
+
+var errors = require('./errors');
+var raster = require('./raster');
+
+var MISSING_TILE_POLICIES = ['error', 'transparent', 'color', 'overzoom'];
+
+// Fetch z/x/y through getTile, retrying failed attempts with exponential
+// backoff and, once retries are exhausted, applying the `missingTile`
+// policy. Calls back with `{ buffer, headers, stats }`; a substituted tile
+// also carries `substitute` (the policy used) and `error` (why).
+//
+// options:
+// - scale, format: exposed to getTile as `cb.scale` and `cb.format`
+// - tileSize: pixel size of a tile at this scale, for generated tiles
+// - timeout: ms to wait for each attempt, 0 waits forever
+// - retries: attempts after the first one, default 0
+// - retryDelay: ms before the first retry, doubled for each one after
+// - missingTile: one of MISSING_TILE_POLICIES, default 'error'
+// - missingTileColor: fill for the 'color' policy
+// - bottomUp: rows count from the bottom, as in TMS, for 'overzoom'
+// - signal: AbortSignal-style object; no attempt starts once it is aborted
+// With a signal or a timeout, getTile can watch `cb.signal`, which aborts
+// along with `signal` and also when the attempt times out, so a hung request
+// can be dropped before the retry starts.
+// - onRetry: called with the error before each retry
+function fetchTile(getTile, z, x, y, options, callback) {
+    fetchWithRetry(getTile, z, x, y, options, function(err, tile) {
+        if (!err) return callback(null, tile);
+        if (err instanceof errors.AbortError) return callback(err);
+
+        var policy = options.missingTile || 'error';
+        if (policy === 'error') return callback(new errors.TileFetchError(z, x, y, err));
+
+        substitute(policy, getTile, z, x, y, options, function(substErr, buffer) {
+            if (substErr) return callback(new errors.TileFetchError(z, x, y, err));
+            callback(null, {
+                buffer: buffer,
+                headers: null,
+                stats: {},
+                substitute: policy,
+                error: err
+            });
+        });
+    });
+}
+
+function fetchWithRetry(getTile, z, x, y, options, callback) {
+    var retries = options.retries || 0,
+        delay = options.retryDelay === undefined ? 100 : options.retryDelay,
+        attempt = 0;
+
+    (function next() {
+        if (options.signal && options.signal.aborted) return callback(new errors.AbortError());
+        getTileOnce(getTile, z, x, y, options, function(err, tile) {
+            if (!err) return callback(null, tile);
+            // a getTile cancelled through the signal fails in its own way
+            if (options.signal && options.signal.aborted) return callback(new errors.AbortError());
+            if (attempt >= retries) return callback(err);
+            if (options.onRetry) options.onRetry(err);
+            setTimeout(next, delay * Math.pow(2, attempt++));
+        });
+    })();
+}
+
+// Call getTile once. getTile may call back or return a Promise resolving
+// to a buffer or to `{ buffer, headers, stats }`. The callback fires once:
+// late or repeated answers from getTile are ignored.
+function getTileOnce(getTile, z, x, y, options, callback) {
+    var called = false,
+        timer = null,
+        attempt = options.signal || options.timeout ? attemptSignal(options.signal) : null;
+    var cb = function(err, buffer, headers, stats) {
+        if (called) return;
+        called = true;
+        if (timer) clearTimeout(timer);
+        if (attempt) attempt.release();
+        if (err) return callback(err);
+        callback(null, { buffer: buffer, headers: headers, stats: stats || {} });
+    };
+    cb.scale = options.scale;
+    cb.format = options.format;
+    if (attempt) cb.signal = attempt.signal;
+
+    if (options.timeout) {
+        timer = setTimeout(function() {
+            cb(new Error('Timed out after ' + options.timeout + 'ms'));
+            attempt.abort();
+        }, options.timeout);
+    }
+
+    var pending;
+    try {
+        pending = getTile(z, x, y, cb);
+    } catch (err) {
+        if (called) throw err;
+        return cb(err);
+    }
+    if (pending && typeof pending.then === 'function') {
+        pending.then(function(tile) {
+            if (Buffer.isBuffer(tile)) return cb(null, tile);
+            if (!tile) return cb(new Error('No tile returned.'));
+            cb(null, tile.buffer, tile.headers, tile.stats);
+        }, function(err) {
+            cb(err || new Error('getTile rejected.'));
+        });
+    }
+}
+
+// An AbortSignal-style object for one attempt, aborted by abort() or with
+// `parent`. release() stops following `parent` once the attempt is over.
+function attemptSignal(parent) {
+    var listeners = [];
+    var signal = {
+        aborted: false,
+        addEventListener: function(type, listener) {
+            if (type === 'abort') listeners.push(listener);
+        },
+        removeEventListener: function(type, listener) {
+            var i = listeners.indexOf(listener);
+            if (type === 'abort' && i !== -1) listeners.splice(i, 1);
+        }
+    };
+    var abort = function() {
+        if (signal.aborted) return;
+        signal.aborted = true;
+        listeners.slice().forEach(function(listener) {
+            listener.call(signal, { type: 'abort' });
+        });
+    };
+    if (parent) {
+        if (parent.aborted) signal.aborted = true;
+        else parent.addEventListener('abort', abort);
+    }
+    return {
+        signal: signal,
+        abort: abort,
+        release: function() {
+            if (parent) parent.removeEventListener('abort', abort);
+        }
+    };
+}
+
+function substitute(policy, getTile, z, x, y, options, callback) {
+    var size = options.tileSize || 256;
+    if (policy === 'transparent') return raster.solid(size, size, 'transparent', callback);
+    if (policy === 'color') return raster.solid(size, size, options.missingTileColor, callback);
+    if (z === 0) return callback(new Error('No parent tile to overzoom.'));
+
+    // Crop the quadrant covering z/x/y out of the parent and upscale it.
+    fetchWithRetry(getTile, z - 1, x >> 1, y >> 1, options, function(err, parent) {
+        if (err) return callback(err);
+        raster.overzoom(parent.buffer, x & 1, options.bottomUp ? 1 - (y & 1) : y & 1, callback);
+    });
+}
+
+module.exports = fetchTile;
+module.exports.MISSING_TILE_POLICIES = MISSING_TILE_POLICIES;
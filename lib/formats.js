@@ -0,0 +1,147 @@
+'use strict';
+
+// Output formats: png, jpeg, webp and tiff, or a mapnik format string for
+// one of them such as `png8:m=h`, `png32`, `jpeg90` or `webp:lossless=1`.
+
+var CONTENT_TYPES = {
+    png: 'image/png',
+    jpeg: 'image/jpeg',
+    webp: 'image/webp',
+    tiff: 'image/tiff'
+};
+
+// Formats `quality` applies to; format strings carry their own options.
+var PLAIN = ['png', 'jpeg', 'webp'];
+
+var UNSUPPORTED = 'format must be png, jpeg, webp, tiff or a mapnik format string for one of them';
+
+// Options mapnik understands after the `:` of each format family, with a
+// description of the values it accepts and a test for them.
+var OPTIONS = {
+    png: {
+        c: integer(1, 256),
+        m: oneOf(['o', 'h']),
+        t: integer(0, 2),
+        z: integer(-1, 9),
+        s: oneOf(['default', 'filtered', 'huff', 'rle']),
+        g: positive(),
+        e: oneOf(['miniz', 'libpng'])
+    },
+    jpeg: {
+        quality: integer(0, 100)
+    },
+    webp: {
+        quality: range(0, 100),
+        method: integer(0, 6),
+        lossless: boolean(),
+        image_hint: integer(0, 3),
+        alpha: boolean(),
+        alpha_quality: integer(0, 100),
+        alpha_filtering: integer(0, 2),
+        alpha_method: integer(0, 1)
+    },
+    tiff: {
+        compression: oneOf(['deflate', 'adobedeflate', 'lzw', 'none']),
+        method: oneOf(['scanline', 'strip', 'stripped', 'tiled']),
+        zlevel: integer(0, 9),
+        tile_width: integer(1, Infinity),
+        tile_height: integer(1, Infinity),
+        rows_per_strip: integer(1, Infinity)
+    }
+};
+
+// `{ family, options }` for a supported format, or null.
+function parse(format) {
+    var parsed = read(format);
+    return parsed.error ? null : parsed;
+}
+
+// Why `format` is not supported, or null when it is.
+function check(format) {
+    return read(format).error || null;
+}
+
+// `{ family, options }`, or `{ error }` describing the problem.
+function read(format) {
+    if (typeof format !== 'string') return { error: UNSUPPORTED };
+    var parts = format.split(':');
+    var match = /^(png|jpeg|webp|tiff)(\d*)$/.exec(parts[0]);
+    if (!match) return { error: UNSUPPORTED };
+    var family = match[1],
+        variant = match[2];
+    if (variant && !(family === 'png' && ['8', '24', '32'].indexOf(variant) !== -1) &&
+        !(family === 'jpeg' && +variant >= 1 && +variant <= 100)) return { error: UNSUPPORTED };
+
+    var options = {};
+    for (var i = 1; i < parts.length; i++) {
+        var kv = parts[i].split('=');
+        var option = OPTIONS[family].hasOwnProperty(kv[0]) && OPTIONS[family][kv[0]];
+        if (kv.length !== 2 || !kv[1] || !option) {
+            return { error: family + ' format options are ' + Object.keys(OPTIONS[family]).join(', ') + ', given as key=value' };
+        }
+        if (!option.test(kv[1])) return { error: family + ' format option ' + kv[0] + ' must be ' + option.description };
+        options[kv[0]] = kv[1];
+    }
+    return { family: family, options: options };
+}
+
+function integer(min, max) {
+    return {
+        description: max === Infinity ? 'an integer from ' + min : 'an integer from ' + min + ' to ' + max,
+        test: function(value) {
+            return /^-?\d+$/.test(value) && +value >= min && +value <= max;
+        }
+    };
+}
+
+function range(min, max) {
+    return {
+        description: 'a number from ' + min + ' to ' + max,
+        test: function(value) {
+            return /^\d+(\.\d+)?$/.test(value) && +value >= min && +value <= max;
+        }
+    };
+}
+
+function positive() {
+    return {
+        description: 'a positive number',
+        test: function(value) {
+            return /^\d+(\.\d+)?$/.test(value) && +value > 0;
+        }
+    };
+}
+
+function boolean() {
+    return oneOf(['true', 'false', '1', '0', 'yes', 'no', 'on', 'off']);
+}
+
+function oneOf(values) {
+    return {
+        description: 'one of ' + values.join(', '),
+        test: function(value) {
+            return values.indexOf(value) !== -1;
+        }
+    };
+}
+
+function family(format) {
+    var parsed = parse(format);
+    return parsed ? parsed.family : null;
+}
+
+function contentType(format) {
+    return CONTENT_TYPES[family(format)];
+}
+
+function isPlain(format) {
+    return PLAIN.indexOf(format) !== -1;
+}
+
+module.exports = {
+    parse: parse,
+    check: check,
+    family: family,
+    contentType: contentType,
+    isPlain: isPlain
+};
@@ -0,0 +1,67 @@
+'use strict';
+
+var mercator = require('./mercator');
+var formats = require('./formats');
+var grids = require('./grids');
+
+var MAX_EXTENT = mercator.MAX_EXTENT,
+    D2R = mercator.D2R;
+
+var WORLD_FILE_EXTENSIONS = {
+    png: 'pgw',
+    jpeg: 'jgw',
+    tiff: 'tfw',
+    webp: 'wld'
+};
+
+// Where a rendered image sits on the plane of its TileGrid, EPSG:3857 by
+// default. The image is centered on center.x/y (pixels at zoom z for
+// tiles of tileSize), is center.w x center.h pixels at scale s and
+// rotated by `bearing` degrees.
+//
+// `transform` holds the six world file parameters in file order
+// [A, D, B, E, C, F]: map x = A * col + B * row + C and
+// map y = D * col + E * row + F, where (C, F) is the center of the
+// upper-left pixel.
+module.exports = function georeference(z, s, center, tileSize, bearing, bounds, format, grid) {
+    grid = grid || grids.webmercator;
+    var r = grid.resolution(z, (tileSize || grid.tileSize) * s),
+        origin = grid.origin(z);
+    var cos = Math.cos((bearing || 0) * D2R),
+        sin = Math.sin((bearing || 0) * D2R);
+    var cx = origin[0] + center.x * s * r,
+        cy = origin[1] - center.y * s * r;
+
+    // map coordinates of an image point given in pixels from the top left
+    function point(i, j) {
+        var dx = i - center.w / 2,
+            dy = j - center.h / 2;
+        return [
+            cx + r * (dx * cos - dy * sin),
+            cy - r * (dx * sin + dy * cos)
+        ];
+    }
+
+    var first = point(0.5, 0.5);
+    var transform = [r * cos, -r * sin, -r * sin, -r * cos, first[0], first[1]];
+
+    var corners = [point(0, 0), point(center.w, 0), point(center.w, center.h), point(0, center.h)];
+    var xs = corners.map(function(c) { return c[0]; }),
+        ys = corners.map(function(c) { return c[1]; });
+
+    var crsBounds = [Math.min.apply(Math, xs), Math.min.apply(Math, ys), Math.max.apply(Math, xs), Math.max.apply(Math, ys)];
+    var result = {
+        crs: grid.crs,
+        geographic: grid.geographic,
+        bounds: bounds,
+        crsBounds: crsBounds,
+        pixelSize: r,
+        transform: transform,
+        worldFile: transform.map(function(v) { return v.toFixed(10); }).join('\n') + '\n',
+        worldFileExtension: WORLD_FILE_EXTENSIONS[formats.family(format)]
+    };
+    if (grid.crs === 'EPSG:3857') result.bounds3857 = crsBounds;
+    return result;
+};
+
+module.exports.MAX_EXTENT = MAX_EXTENT;
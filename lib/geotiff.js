@@ -0,0 +1,155 @@
+'use strict';
+
+// Minimal GeoTIFF tagging for TIFFs encoded by mapnik: the first IFD is
+// copied to the end of the file with the GeoTIFF tags added, and the
+// header is pointed at the copy. Everything the original IFD references
+// stays where it is.
+
+var TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+var SHORT = 3,
+    DOUBLE = 12;
+
+var TAGS = {
+    ModelPixelScale: 33550,
+    ModelTiepoint: 33922,
+    ModelTransformation: 34264,
+    GeoKeyDirectory: 34735
+};
+
+// GeoKeyDirectory for a georeference's 'EPSG:<code>' crs, PixelIsArea.
+// Other CRSs are marked user-defined.
+function geoKeys(georef) {
+    var match = /^EPSG:(\d+)$/.exec(georef.crs || ''),
+        code = match && +match[1] < 65536 ? +match[1] : 32767;
+    return [
+        1, 1, 0, 3,
+        1024, 0, 1, georef.geographic ? 2 : 1,      // GTModelTypeGeoKey: projected or geographic
+        1025, 0, 1, 1,                              // GTRasterTypeGeoKey: PixelIsArea
+        georef.geographic ? 2048 : 3072, 0, 1, code // GeographicTypeGeoKey or ProjectedCSTypeGeoKey
+    ];
+}
+
+// Add GeoTIFF tags for a georeference (see lib/georeference.js) to a TIFF.
+function tag(buffer, georef) {
+    var t = georef.transform;
+    var A = t[0], D = t[1], B = t[2], E = t[3];
+    // world files use pixel centers, GeoTIFF PixelIsArea uses the corner
+    var C = t[4] - (A + B) / 2,
+        F = t[5] - (D + E) / 2;
+
+    var entries;
+    if (B === 0 && D === 0) {
+        entries = [
+            { tag: TAGS.ModelPixelScale, type: DOUBLE, values: [A, -E, 0] },
+            { tag: TAGS.ModelTiepoint, type: DOUBLE, values: [0, 0, 0, C, F, 0] }
+        ];
+    } else {
+        entries = [
+            { tag: TAGS.ModelTransformation, type: DOUBLE, values: [A, B, 0, C, D, E, 0, F, 0, 0, 0, 0, 0, 0, 0, 1] }
+        ];
+    }
+    entries.push({ tag: TAGS.GeoKeyDirectory, type: SHORT, values: geoKeys(georef) });
+    return addEntries(buffer, entries);
+}
+
+function addEntries(buffer, added) {
+    var io = reader(buffer);
+    var ifdOffset = io.u32(4);
+    var count = io.u16(ifdOffset);
+    var nextIfd = io.u32(ifdOffset + 2 + count * 12);
+
+    var addedTags = added.map(function(e) { return e.tag; });
+    var kept = [];
+    for (var i = 0; i < count; i++) {
+        var at = ifdOffset + 2 + i * 12;
+        if (addedTags.indexOf(io.u16(at)) !== -1) continue;
+        kept.push({ tag: io.u16(at), raw: buffer.slice(at, at + 12) });
+    }
+    var entries = kept.concat(added).sort(function(a, b) { return a.tag - b.tag; });
+
+    // new IFD goes at the end of the file, word aligned, followed by
+    // the values that do not fit in an entry
+    var start = buffer.length + (buffer.length % 2);
+    var ifdSize = 2 + entries.length * 12 + 4;
+    var dataSize = added.reduce(function(memo, e) {
+        var size = e.values.length * TYPE_SIZES[e.type];
+        return memo + (size > 4 ? size + (size % 2) : 0);
+    }, 0);
+    var out = Buffer.alloc(start + ifdSize + dataSize);
+    buffer.copy(out);
+    var w = writer(out, io.little);
+
+    var dataOffset = start + ifdSize;
+    w.u16(start, entries.length);
+    entries.forEach(function(e, i) {
+        var at = start + 2 + i * 12;
+        if (e.raw) return e.raw.copy(out, at);
+        w.u16(at, e.tag);
+        w.u16(at + 2, e.type);
+        w.u32(at + 4, e.values.length);
+        var size = e.values.length * TYPE_SIZES[e.type];
+        var valueAt = at + 8;
+        if (size > 4) {
+            w.u32(at + 8, dataOffset);
+            valueAt = dataOffset;
+            dataOffset += size + (size % 2);
+        }
+        e.values.forEach(function(v, j) {
+            if (e.type === DOUBLE) w.f64(valueAt + j * 8, v);
+            else w.u16(valueAt + j * 2, v);
+        });
+    });
+    w.u32(start + 2 + entries.length * 12, nextIfd);
+    w.u32(4, start);
+    return out;
+}
+
+// Numeric values of the tags in the first IFD, keyed by tag id.
+function readTags(buffer) {
+    var io = reader(buffer);
+    var ifdOffset = io.u32(4);
+    var count = io.u16(ifdOffset);
+    var tags = {};
+    for (var i = 0; i < count; i++) {
+        var at = ifdOffset + 2 + i * 12;
+        var type = io.u16(at + 2),
+            n = io.u32(at + 4),
+            size = TYPE_SIZES[type] || 1;
+        var valueAt = n * size > 4 ? io.u32(at + 8) : at + 8;
+        var values = [];
+        for (var j = 0; j < n; j++) {
+            if (type === DOUBLE) values.push(io.f64(valueAt + j * 8));
+            else if (type === SHORT) values.push(io.u16(valueAt + j * 2));
+            else if (type === 4) values.push(io.u32(valueAt + j * 4));
+            else values.push(buffer[valueAt + j]);
+        }
+        tags[io.u16(at)] = values;
+    }
+    return tags;
+}
+
+function reader(buffer) {
+    var order = buffer.toString('ascii', 0, 2);
+    if (order !== 'II' && order !== 'MM') throw new Error('Not a TIFF image.');
+    var little = order === 'II';
+    return {
+        little: little,
+        u16: function(at) { return little ? buffer.readUInt16LE(at) : buffer.readUInt16BE(at); },
+        u32: function(at) { return little ? buffer.readUInt32LE(at) : buffer.readUInt32BE(at); },
+        f64: function(at) { return little ? buffer.readDoubleLE(at) : buffer.readDoubleBE(at); }
+    };
+}
+
+function writer(buffer, little) {
+    return {
+        u16: function(at, v) { return little ? buffer.writeUInt16LE(v, at) : buffer.writeUInt16BE(v, at); },
+        u32: function(at, v) { return little ? buffer.writeUInt32LE(v, at) : buffer.writeUInt32BE(v, at); },
+        f64: function(at, v) { return little ? buffer.writeDoubleLE(v, at) : buffer.writeDoubleBE(v, at); }
+    };
+}
+
+module.exports = {
+    TAGS: TAGS,
+    tag: tag,
+    readTags: readTags
+};
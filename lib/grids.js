@@ -0,0 +1,293 @@
+'use strict';
+
+var mercator = require('./mercator');
+var InvalidArgumentError = require('./errors').InvalidArgumentError;
+
+var D2R = mercator.D2R,
+    R2D = mercator.R2D,
+    MAX_EXTENT = mercator.MAX_EXTENT;
+// Meters per degree at the equator, for scale denominators of
+// geographic tile matrices.
+var METERS_PER_DEGREE = 2 * Math.PI * 6378137 / 360;
+// Size of a pixel in meters, by the OGC definition of scale denominators.
+var PIXEL_SIZE = 0.00028;
+
+// How zoom levels split a projected plane into tiles, and how lng,lat
+// map onto that plane. abaculus places images in the pixels of a zoom
+// level: pixel (0, 0) is the top left corner of the level's tile matrix
+// and y points down, whichever way the grid numbers its rows.
+//
+// options:
+// - name
+// - crs: 'EPSG:<code>' of the plane
+// - geographic: true when the plane is in degrees
+// - project(lngLat) and unproject([x, y]) between lng,lat and the plane
+// - bottomUp: rows count from the bottom of the matrix, as in TMS
+// - wrap: columns repeat around the globe
+// - maxLatitude: largest latitude the grid can show
+//
+// and either, for grids of `width` x `height` tiles at zoom 0 doubling
+// in both directions at every zoom:
+// - extent: [minx, miny, maxx, maxy] of the plane covered by the tiles
+// - width, height: number of tiles at zoom 0, default 1
+//
+// or, for grids listing their zoom levels:
+// - matrices: `{ id, origin, resolution, width, height }` for each zoom,
+//   `origin` being the top left corner on the plane, `resolution` plane
+//   units per pixel and `width`/`height` the number of tiles
+// - tileSize: pixel size of the tiles
+function TileGrid(options) {
+    this.name = options.name;
+    this.crs = options.crs;
+    this.geographic = !!options.geographic;
+    this.project = options.project;
+    this.unproject = options.unproject;
+    this.bottomUp = !!options.bottomUp;
+    this.wrap = !!options.wrap;
+    this.maxLatitude = options.maxLatitude || 90;
+    this.extent = options.extent || null;
+    this.matrices = options.matrices || null;
+    if (this.matrices) {
+        this.tileSize = options.tileSize;
+        this.maxZoom = this.matrices.length - 1;
+        this.quadtree = isQuadtree(this.matrices);
+    } else {
+        this.tileSize = 256;
+        this.maxZoom = Infinity;
+        this.quadtree = true;
+        this._width = options.width || 1;
+        this._height = options.height || 1;
+    }
+}
+
+// Plane units per pixel at zoom z with tiles drawn tileSize pixels wide.
+// Grids listing their zoom levels interpolate between them for
+// fractional zooms.
+TileGrid.prototype.resolution = function(z, tileSize) {
+    if (!this.matrices) return (this.extent[2] - this.extent[0]) / (this._width * (tileSize || 256) * Math.pow(2, z));
+    var i = Math.min(Math.floor(z), this.maxZoom),
+        r = this.matrices[i].resolution;
+    if (z !== i && i !== this.maxZoom) r *= Math.pow(this.matrices[i + 1].resolution / r, z - i);
+    return r * this.tileSize / (tileSize || this.tileSize);
+};
+
+// Top left corner of the tile matrix at zoom z, on the plane.
+TileGrid.prototype.origin = function(z) {
+    if (!this.matrices) return [this.extent[0], this.extent[3]];
+    return this.matrices[Math.min(Math.floor(z), this.maxZoom)].origin;
+};
+
+// Number of tiles across and down at integer zoom z.
+TileGrid.prototype.matrix = function(z) {
+    if (!this.matrices) return { width: this._width * Math.pow(2, z), height: this._height * Math.pow(2, z) };
+    return { width: this.matrices[z].width, height: this.matrices[z].height };
+};
+
+// Pixels around the globe at zoom z, or 0 when columns do not wrap.
+TileGrid.prototype.worldWidth = function(z, tileSize) {
+    if (!this.wrap) return 0;
+    if (!this.matrices) return this._width * (tileSize || 256) * Math.pow(2, z);
+    var first = this.matrices[0];
+    return first.width * this.tileSize * first.resolution / this.resolution(z, tileSize);
+};
+
+// lng,lat to unrounded pixels at zoom z.
+TileGrid.prototype.point = function(lngLat, z, tileSize) {
+    var p = this.project(lngLat),
+        origin = this.origin(z),
+        r = this.resolution(z, tileSize);
+    return [(p[0] - origin[0]) / r, (origin[1] - p[1]) / r];
+};
+
+// Rounded point.
+TileGrid.prototype.px = function(lngLat, z, tileSize) {
+    var p = this.point(lngLat, z, tileSize);
+    return [Math.round(p[0]), Math.round(p[1])];
+};
+
+// Inverse of point.
+TileGrid.prototype.ll = function(point, z, tileSize) {
+    var origin = this.origin(z),
+        r = this.resolution(z, tileSize);
+    return this.unproject([origin[0] + point[0] * r, origin[1] - point[1] * r]);
+};
+
+// Pixels at zoom z covered by one pixel at zoom tz.
+TileGrid.prototype.zoomScale = function(z, tz, tileSize) {
+    if (this.quadtree) return Math.pow(2, z - tz);
+    return this.resolution(tz, tileSize) / this.resolution(z, tileSize);
+};
+
+// A point in pixels at zoom z moved to zoom tz.
+TileGrid.prototype.rezoom = function(point, z, tz, tileSize) {
+    if (this.quadtree) {
+        var k = Math.pow(2, z - tz);
+        return [point[0] / k, point[1] / k];
+    }
+    var origin = this.origin(z),
+        r = this.resolution(z, tileSize),
+        to = this.origin(tz),
+        tr = this.resolution(tz, tileSize);
+    return [(origin[0] + point[0] * r - to[0]) / tr, (to[1] - origin[1] + point[1] * r) / tr];
+};
+
+// The row getTile knows a tile by at integer zoom z, from its row counted
+// from the top. The same conversion goes back.
+TileGrid.prototype.sourceRow = function(z, row) {
+    return this.bottomUp ? this.matrix(z).height - 1 - row : row;
+};
+
+// Web Mercator with rows counted from the top (XYZ) or the bottom (TMS).
+// Points are placed with lib/mercator.js, as abaculus always has.
+function webMercator(name, bottomUp) {
+    var grid = new TileGrid({
+        name: name,
+        crs: 'EPSG:3857',
+        project: projectMercator,
+        unproject: unprojectMercator,
+        bottomUp: bottomUp,
+        wrap: true,
+        maxLatitude: 85.0511287798066,
+        extent: [-MAX_EXTENT, -MAX_EXTENT, MAX_EXTENT, MAX_EXTENT]
+    });
+    grid.point = mercator.point;
+    grid.px = mercator.px;
+    grid.ll = mercator.ll;
+    return grid;
+}
+
+var PRESETS = {
+    webmercator: webMercator('webmercator', false),
+    tms: webMercator('tms', true),
+    // EPSG:4326 plate carrée, two tiles side by side at zoom 0
+    wgs84: new TileGrid({
+        name: 'wgs84',
+        crs: 'EPSG:4326',
+        geographic: true,
+        project: identity,
+        unproject: identity,
+        wrap: true,
+        extent: [-180, -90, 180, 90],
+        width: 2
+    })
+};
+
+// The grid for abaculus()'s `grid` parameter: a TileGrid, a preset name
+// or undefined for Web Mercator XYZ. Returns null for anything else.
+function get(grid) {
+    if (grid === undefined) return PRESETS.webmercator;
+    if (grid instanceof TileGrid) return grid;
+    return typeof grid === 'string' && PRESETS.hasOwnProperty(grid) ? PRESETS[grid] : null;
+}
+
+// A grid from an OGC TileMatrixSet (2.0 JSON encoding). Zoom z is the
+// z-th entry of `tileMatrices`; its `id` is in `grid.matrices[z].id`.
+// EPSG:3857, EPSG:4326 and CRS84 sets work as they are. Other CRSs need
+// `options.project` and `options.unproject` between lng,lat and the CRS
+// axes in x, y order. `options.wrap` overrides whether columns wrap,
+// which is guessed for global sets. Throws an InvalidArgumentError for
+// sets abaculus cannot use.
+function fromTileMatrixSet(set, options) {
+    options = options || {};
+    if (!set || !Array.isArray(set.tileMatrices) || !set.tileMatrices.length) {
+        throw new InvalidArgumentError('TileMatrixSet must have tileMatrices', 'grid');
+    }
+    var uri = typeof set.crs === 'object' && set.crs ? set.crs.uri : set.crs;
+    var crs = crsOf(uri),
+        known = KNOWN_CRS[crs];
+    if (!known && !(options.project && options.unproject)) {
+        throw new InvalidArgumentError('TileMatrixSet crs ' + uri + ' needs project and unproject functions', 'grid');
+    }
+
+    // EPSG:4326 lists latitude first unless the set says otherwise
+    var axes = set.orderedAxes ? set.orderedAxes.map(function(a) { return String(a).toLowerCase(); }) : null;
+    var swap = axes ? ['lat', 'latitude', 'n', 'northing', 'north', 'y'].indexOf(axes[0]) !== -1 :
+        crs === 'EPSG:4326' && !/CRS84/.test(uri);
+
+    var first = set.tileMatrices[0],
+        tileSize = first.tileWidth,
+        bottomUp = first.cornerOfOrigin === 'bottomLeft';
+    var matrices = set.tileMatrices.map(function(m) {
+        if (m.tileWidth !== tileSize || m.tileHeight !== tileSize) {
+            throw new InvalidArgumentError('TileMatrixSet tiles must be square and the same size at every zoom', 'grid');
+        }
+        if ((m.cornerOfOrigin === 'bottomLeft') !== bottomUp) {
+            throw new InvalidArgumentError('TileMatrixSet cornerOfOrigin must be the same at every zoom', 'grid');
+        }
+        var resolution = m.cellSize || m.scaleDenominator * PIXEL_SIZE / (known && known.geographic ? METERS_PER_DEGREE : 1);
+        var origin = swap ? [m.pointOfOrigin[1], m.pointOfOrigin[0]] : m.pointOfOrigin.slice(0, 2);
+        if (bottomUp) origin[1] += m.matrixHeight * tileSize * resolution;
+        if (!(resolution > 0) || !isFinite(origin[0]) || !isFinite(origin[1])) {
+            throw new InvalidArgumentError('TileMatrixSet matrix ' + m.id + ' needs a cellSize and pointOfOrigin', 'grid');
+        }
+        return { id: m.id, origin: origin, resolution: resolution, width: m.matrixWidth, height: m.matrixHeight };
+    });
+
+    var wrap = options.wrap;
+    if (wrap === undefined && known) {
+        var globe = known.geographic ? 360 : 2 * MAX_EXTENT;
+        wrap = Math.abs(matrices[0].width * tileSize * matrices[0].resolution - globe) < globe * 1e-9;
+    }
+    return new TileGrid({
+        name: set.id,
+        crs: crs,
+        geographic: known ? known.geographic : !!options.geographic,
+        project: known ? known.project : options.project,
+        unproject: known ? known.unproject : options.unproject,
+        bottomUp: bottomUp,
+        wrap: wrap,
+        maxLatitude: known && known.maxLatitude,
+        matrices: matrices,
+        tileSize: tileSize
+    });
+}
+
+var KNOWN_CRS = {
+    'EPSG:3857': { project: projectMercator, unproject: unprojectMercator, maxLatitude: 85.0511287798066 },
+    'EPSG:4326': { project: identity, unproject: identity, geographic: true }
+};
+
+// 'EPSG:<code>' for the usual spellings of a CRS, CRS84 being EPSG:4326
+// with longitude first.
+function crsOf(uri) {
+    if (typeof uri !== 'string') return null;
+    if (/CRS84$/.test(uri)) return 'EPSG:4326';
+    var match = /EPSG(?:\/\d+\/|::?|\/)(\d+)$/.exec(uri);
+    if (!match) return uri;
+    var code = match[1] === '900913' || match[1] === '102100' ? '3857' : match[1];
+    return 'EPSG:' + code;
+}
+
+// Each zoom halves the resolution and doubles the tiles of the one
+// before, from the same origin.
+function isQuadtree(matrices) {
+    for (var i = 1; i < matrices.length; i++) {
+        var a = matrices[i - 1],
+            b = matrices[i];
+        if (Math.abs(a.resolution / b.resolution - 2) > 1e-9 || b.width !== a.width * 2 || b.height !== a.height * 2 ||
+            Math.abs(a.origin[0] - b.origin[0]) > a.resolution * 1e-6 || Math.abs(a.origin[1] - b.origin[1]) > a.resolution * 1e-6) return false;
+    }
+    return true;
+}
+
+function projectMercator(lngLat) {
+    var lat = Math.max(Math.min(lngLat[1], 89.99), -89.99);
+    return [lngLat[0] * D2R * 6378137, Math.log(Math.tan(Math.PI / 4 + lat * D2R / 2)) * 6378137];
+}
+
+function unprojectMercator(p) {
+    return [p[0] / 6378137 * R2D, (2 * Math.atan(Math.exp(p[1] / 6378137)) - Math.PI / 2) * R2D];
+}
+
+function identity(p) {
+    return [p[0], p[1]];
+}
+
+module.exports = {
+    TileGrid: TileGrid,
+    webmercator: PRESETS.webmercator,
+    tms: PRESETS.tms,
+    wgs84: PRESETS.wgs84,
+    get: get,
+    fromTileMatrixSet: fromTileMatrixSet
+};
@@ -0,0 +1,112 @@
+'use strict';
+
+// Used when no tile limits how long the composed image may be cached.
+var DEFAULT_CACHE_CONTROL = 'max-age=3600';
+
+// Value of header `name` in a headers object, matched case-insensitively.
+function header(headers, name) {
+    if (!headers) return undefined;
+    for (var k in headers) if (k.toLowerCase() === name) return headers[k];
+    return undefined;
+}
+
+// How long a response with these headers stays fresh: `{ noStore,
+// noCache, private, maxAge, sMaxAge }`. maxAge is the seconds a client
+// may keep it, from `max-age` or `Expires`, and sMaxAge the seconds a
+// shared cache may keep it, from `s-maxage`. Either is undefined when not
+// given.
+function freshness(headers) {
+    var result = { noStore: false, noCache: false, private: false, maxAge: undefined, sMaxAge: undefined };
+    var cacheControl = header(headers, 'cache-control');
+    if (cacheControl) {
+        result.noStore = /(^|,)\s*no-store\s*(,|$)/i.test(cacheControl);
+        result.noCache = /(^|,)\s*no-cache\s*(,|$)/i.test(cacheControl);
+        result.private = /(^|,)\s*private\s*(,|=|$)/i.test(cacheControl);
+        var shared = /(?:^|,)\s*s-maxage\s*=\s*(\d+)/i.exec(cacheControl),
+            age = /(?:^|,)\s*max-age\s*=\s*(\d+)/i.exec(cacheControl);
+        if (shared) result.sMaxAge = parseInt(shared[1], 10);
+        if (age) {
+            result.maxAge = parseInt(age[1], 10);
+            return result;
+        }
+    }
+    var expires = header(headers, 'expires');
+    if (expires) {
+        var time = new Date(expires).getTime();
+        result.maxAge = isNaN(time) ? 0 : Math.max(0, Math.floor((time - Date.now()) / 1000));
+    }
+    return result;
+}
+
+// Cache-Control for an image composed from tiles with these headers: the
+// image is as cacheable as its least cacheable tile. It is `private` when
+// any tile is. Clients get the smallest max-age; when a tile sends
+// `s-maxage`, shared caches get their own, the smallest of each tile's
+// s-maxage or else max-age. `policy` overrides this, either as the header
+// value to use or as a function called with the derived value and the
+// tile headers that returns it.
+function cacheControl(tileHeaders, policy) {
+    if (typeof policy === 'string') return policy;
+
+    var noStore = false,
+        noCache = false,
+        isPrivate = false,
+        anyShared = false,
+        maxAge,
+        sMaxAge;
+    tileHeaders.forEach(function(headers) {
+        var f = freshness(headers);
+        noStore = noStore || f.noStore;
+        noCache = noCache || f.noCache;
+        isPrivate = isPrivate || f.private;
+        anyShared = anyShared || f.sMaxAge !== undefined;
+        maxAge = min(maxAge, f.maxAge);
+        sMaxAge = min(sMaxAge, f.sMaxAge !== undefined ? f.sMaxAge : f.maxAge);
+    });
+    var derived = noStore ? 'no-store' :
+        noCache ? 'no-cache' :
+        maxAge !== undefined ? 'max-age=' + maxAge :
+        DEFAULT_CACHE_CONTROL;
+    // shared caches may not store private responses at all
+    if (!noStore && !noCache && !isPrivate && anyShared) derived += ', s-maxage=' + sMaxAge;
+    if (isPrivate) derived = 'private, ' + derived;
+
+    return typeof policy === 'function' ? policy(derived, tileHeaders) : derived;
+}
+
+// The smaller of two ages, either of which may be undefined.
+function min(a, b) {
+    if (a === undefined) return b;
+    if (b === undefined) return a;
+    return Math.min(a, b);
+}
+
+// Whether a client sending `ifNoneMatch` (an If-None-Match value) or
+// `ifModifiedSince` already has the image with these composed headers.
+// As in HTTP, ifModifiedSince is ignored when ifNoneMatch is given.
+function notModified(composed, options) {
+    if (options.ifNoneMatch !== undefined && options.ifNoneMatch !== null) {
+        var etag = weak(composed['ETag']);
+        return options.ifNoneMatch.split(',').some(function(tag) {
+            tag = tag.trim();
+            return tag === '*' || weak(tag) === etag;
+        });
+    }
+    if (options.ifModifiedSince !== undefined && options.ifModifiedSince !== null) {
+        var since = new Date(options.ifModifiedSince).getTime();
+        return !isNaN(since) && new Date(composed['Last-Modified']).getTime() <= since;
+    }
+    return false;
+}
+
+// Weak comparison: W/"x" matches "x".
+function weak(etag) {
+    return String(etag).replace(/^W\//, '');
+}
+
+module.exports = {
+    header: header,
+    freshness: freshness,
+    cacheControl: cacheControl,
+    notModified: notModified
+};
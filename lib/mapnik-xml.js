@@ -0,0 +1,75 @@
+'use strict';
+
+var mapnik = require('@carto/mapnik');
+
+// The mapnik maps, and their XML, that overlays and decorations draw in
+// image pixels.
+
+// Geometries are projected to image pixels before mapnik sees them;
+// giving the map and its layers the same srs keeps mapnik from
+// reprojecting them.
+var SRS = '+proj=merc +a=6378137 +b=6378137 +lat_ts=0 +lon_0=0 +x_0=0 +y_0=0 +k=1 +units=m +nadgrids=@null +wktext +no_defs';
+
+// Whether mapnik's input plugins, which read the inline GeoJSON, are
+// registered yet: renders without overlays or decorations never need them.
+var pluginsRegistered = false;
+
+// A width x height mapnik.Map of `layers` (see map()) with one map unit
+// per pixel, y pointing up.
+function pixelMap(width, height, layers) {
+    if (!pluginsRegistered) {
+        mapnik.register_default_input_plugins();
+        pluginsRegistered = true;
+    }
+    var result = new mapnik.Map(width, height, SRS);
+    result.fromStringSync(map(layers));
+    result.extent = [0, -height, width, 0];
+    return result;
+}
+
+// A Map with a style and a layer of inline GeoJSON for each of `layers`,
+// given as `{ name, symbolizers, features }`.
+function map(layers) {
+    var xml = ['<Map srs="' + SRS + '">'];
+    layers.forEach(function(layer) {
+        xml.push('<Style name="' + layer.name + '"><Rule>' + layer.symbolizers + '</Rule></Style>');
+        xml.push(
+            '<Layer name="' + layer.name + '" srs="' + SRS + '">' +
+            '<StyleName>' + layer.name + '</StyleName>' +
+            '<Datasource>' +
+            '<Parameter name="type">geojson</Parameter>' +
+            '<Parameter name="inline"><![CDATA[' + JSON.stringify({
+                type: 'FeatureCollection',
+                features: layer.features
+            }) + ']]></Parameter>' +
+            '</Datasource>' +
+            '</Layer>'
+        );
+    });
+    xml.push('</Map>');
+    return xml.join('\n');
+}
+
+// An empty element, such as a symbolizer, with escaped `values`.
+function tag(name, values) {
+    return '<' + name + attributes(values) + '/>';
+}
+
+function attributes(values) {
+    return Object.keys(values).map(function(k) {
+        return ' ' + k + '="' + escape(String(values[k])) + '"';
+    }).join('');
+}
+
+function escape(value) {
+    return value.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+module.exports = {
+    SRS: SRS,
+    pixelMap: pixelMap,
+    map: map,
+    tag: tag,
+    attributes: attributes,
+    escape: escape
+};
@@ -0,0 +1,66 @@
+'use strict';
+
+// Web Mercator math for a world of tileSize * 2^z pixels at zoom z.
+
+var D2R = Math.PI / 180,
+    R2D = 180 / Math.PI;
+// Half the width of the EPSG:3857 world in meters.
+var MAX_EXTENT = 20037508.342789244;
+
+// lng,lat to pixels at zoom z for a world of tileSize * 2^z pixels.
+// Same as SphericalMercator#px, but fractional zooms are allowed.
+function px(ll, z, tileSize) {
+    var size = (tileSize || 256) * Math.pow(2, z);
+    var p = point(ll, z, tileSize);
+    return [Math.min(Math.round(p[0]), size), Math.min(Math.round(p[1]), size)];
+}
+
+// Unrounded px.
+function point(ll, z, tileSize) {
+    var size = (tileSize || 256) * Math.pow(2, z),
+        d = size / 2;
+    var f = Math.min(Math.max(Math.sin(D2R * ll[1]), -0.9999), 0.9999);
+    return [d + ll[0] * (size / 360), d + 0.5 * Math.log((1 + f) / (1 - f)) * (-(size / (2 * Math.PI)))];
+}
+
+// Inverse of px, without rounding.
+function ll(point, z, tileSize) {
+    var size = (tileSize || 256) * Math.pow(2, z),
+        d = size / 2;
+    var g = (point[1] - d) / (-(size / (2 * Math.PI)));
+    return [(point[0] - d) / (size / 360), R2D * (2 * Math.atan(Math.exp(g)) - 0.5 * Math.PI)];
+}
+
+// Web Mercator y of a latitude, as a fraction of the world height
+// measured from the top.
+function mercatorY(lat) {
+    var sin = Math.sin(lat * D2R);
+    return 0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI);
+}
+
+function wrapLng(lng) {
+    return ((lng + 180) % 360 + 360) % 360 - 180;
+}
+
+// EPSG:3857 [minx, miny, maxx, maxy] of tile z/x/y.
+function tileBounds(z, x, y) {
+    var size = 2 * MAX_EXTENT / Math.pow(2, z);
+    return [
+        -MAX_EXTENT + x * size,
+        MAX_EXTENT - (y + 1) * size,
+        -MAX_EXTENT + (x + 1) * size,
+        MAX_EXTENT - y * size
+    ];
+}
+
+module.exports = {
+    MAX_EXTENT: MAX_EXTENT,
+    D2R: D2R,
+    R2D: R2D,
+    px: px,
+    point: point,
+    ll: ll,
+    mercatorY: mercatorY,
+    wrapLng: wrapLng,
+    tileBounds: tileBounds
+};
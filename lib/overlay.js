@@ -0,0 +1,185 @@
+'use strict';
+
+var queue = require('d3-queue').queue;
+var raster = require('./raster');
+var xml = require('./mapnik-xml');
+
+var GEOMETRY_TYPES = ['Point', 'MultiPoint', 'LineString', 'MultiLineString', 'Polygon', 'MultiPolygon', 'GeometryCollection'];
+
+// Style properties read from each feature's `properties`.
+var DEFAULTS = {
+    stroke: '#555555',
+    width: 2,
+    fill: null,
+    opacity: 1,
+    radius: 6,
+    marker: null,
+    anchor: null
+};
+
+// Draw GeoJSON `overlays` (a FeatureCollection, a Feature or an array of
+// them) onto a premultiplied mapnik.Image placed by `viewport`. Lines,
+// polygons and points are drawn by mapnik at `scale`, in feature order;
+// marker images are resampled to `scale` and composited on top of them.
+function draw(image, overlays, viewport, scale, callback) {
+    var layers = [],
+        markers = [];
+    features(overlays).forEach(function(feature) {
+        var style = styleOf(feature);
+        parts(feature.geometry).forEach(function(geometry) {
+            var kind = kindOf(geometry.type);
+            if (kind === 'point' && style.marker) {
+                return points(geometry).forEach(function(point) {
+                    markers.push({ point: viewport.project(point), style: style });
+                });
+            }
+            var key = kind + JSON.stringify([style.stroke, style.width, style.fill, style.opacity, style.radius]);
+            var last = layers[layers.length - 1];
+            if (!last || last.key !== key) {
+                last = { key: key, kind: kind, style: style, geometries: [] };
+                layers.push(last);
+            }
+            last.geometries.push(pixelGeometry(geometry, viewport));
+        });
+    });
+
+    if (!layers.length) return composite(image, markers, scale, callback);
+
+    var map;
+    try {
+        map = xml.pixelMap(image.width(), image.height(), layers.map(function(layer, i) {
+            return {
+                name: 'overlay' + i,
+                symbolizers: symbolizers(layer.kind, layer.style),
+                features: layer.geometries.map(function(geometry) {
+                    return { type: 'Feature', properties: {}, geometry: geometry };
+                })
+            };
+        }));
+    } catch (err) {
+        return callback(err);
+    }
+    map.render(image, { scale: scale }, function(err) {
+        if (err) return callback(err);
+        composite(image, markers, scale, callback);
+    });
+}
+
+function composite(image, markers, scale, callback) {
+    var q = queue(1);
+    markers.forEach(function(marker) {
+        q.defer(function(done) {
+            var icon;
+            try {
+                icon = raster.decode(marker.style.marker);
+            } catch (err) {
+                return done(err);
+            }
+            var anchor = marker.style.anchor || [icon.width() / 2, icon.height()];
+            var dx = Math.round(marker.point[0] - anchor[0] * scale),
+                dy = Math.round(marker.point[1] - anchor[1] * scale),
+                width = icon.width() * scale,
+                height = icon.height() * scale;
+            if (dx >= image.width() || dy >= image.height() || dx + width <= 0 || dy + height <= 0) return done();
+            if (scale === 1) return place(null, icon);
+            raster.transform(icon, width, height, [1 / scale, 0, 0, 1 / scale, 0, 0], place);
+
+            function place(err, icon) {
+                if (err) return done(err);
+                image.composite(icon, { dx: dx, dy: dy, opacity: marker.style.opacity }, function(err) {
+                    done(err);
+                });
+            }
+        });
+    });
+    q.awaitAll(function(err) {
+        callback(err || null, image);
+    });
+}
+
+function features(overlays) {
+    return [].concat(overlays).reduce(function(memo, overlay) {
+        return memo.concat(overlay.type === 'FeatureCollection' ? overlay.features : [overlay]);
+    }, []).filter(function(feature) {
+        return feature.geometry;
+    });
+}
+
+function styleOf(feature) {
+    var properties = feature.properties || {},
+        style = {};
+    Object.keys(DEFAULTS).forEach(function(k) {
+        style[k] = properties[k] === undefined ? DEFAULTS[k] : properties[k];
+    });
+    return style;
+}
+
+// Geometries of a single kind: GeometryCollections are split up.
+function parts(geometry) {
+    if (geometry.type !== 'GeometryCollection') return [geometry];
+    return geometry.geometries.reduce(function(memo, g) {
+        return memo.concat(parts(g));
+    }, []);
+}
+
+function kindOf(type) {
+    if (type === 'Point' || type === 'MultiPoint') return 'point';
+    if (type === 'LineString' || type === 'MultiLineString') return 'line';
+    return 'polygon';
+}
+
+function points(geometry) {
+    return geometry.type === 'Point' ? [geometry.coordinates] : geometry.coordinates;
+}
+
+// The geometry in map units: image pixels with y negated.
+function pixelGeometry(geometry, viewport) {
+    function path(lngLats) {
+        return viewport.projectPath(lngLats).map(flip);
+    }
+    function flip(p) {
+        return [p[0], -p[1]];
+    }
+    var c = geometry.coordinates, coordinates;
+    switch (geometry.type) {
+    case 'Point': coordinates = flip(viewport.project(c)); break;
+    case 'MultiPoint': coordinates = c.map(function(p) { return flip(viewport.project(p)); }); break;
+    case 'LineString': coordinates = path(c); break;
+    case 'MultiLineString':
+    case 'Polygon': coordinates = c.map(path); break;
+    case 'MultiPolygon': coordinates = c.map(function(rings) { return rings.map(path); }); break;
+    }
+    return { type: geometry.type, coordinates: coordinates };
+}
+
+function symbolizers(kind, style) {
+    if (kind === 'point') {
+        var size = style.radius * 2;
+        return xml.tag('MarkersSymbolizer', {
+            'fill': style.fill || style.stroke,
+            'fill-opacity': style.opacity,
+            'stroke-width': 0,
+            'width': size,
+            'height': size,
+            'allow-overlap': 'true',
+            'ignore-placement': 'true'
+        });
+    }
+    var symbolizer = '';
+    if (kind === 'polygon' && style.fill) {
+        symbolizer += xml.tag('PolygonSymbolizer', { 'fill': style.fill, 'fill-opacity': style.opacity });
+    }
+    if (style.width > 0) {
+        symbolizer += xml.tag('LineSymbolizer', {
+            'stroke': style.stroke,
+            'stroke-width': style.width,
+            'stroke-opacity': style.opacity,
+            'stroke-linejoin': 'round',
+            'stroke-linecap': 'round'
+        });
+    }
+    return symbolizer;
+}
+
+module.exports = draw;
+module.exports.GEOMETRY_TYPES = GEOMETRY_TYPES;
@@ -0,0 +1,168 @@
+'use strict';
+
+var mapnik = require('@carto/mapnik');
+
+// Compositing operations accepted by composite(), as named in CartoCSS.
+var COMP_OPS = [
+    'clear', 'src', 'dst', 'src-over', 'dst-over', 'src-in', 'dst-in',
+    'src-out', 'dst-out', 'src-atop', 'dst-atop', 'xor', 'plus', 'minus',
+    'multiply', 'screen', 'overlay', 'darken', 'lighten', 'color-dodge',
+    'color-burn', 'hard-light', 'soft-light', 'difference', 'exclusion',
+    'contrast', 'invert', 'invert-rgb', 'grain-merge', 'grain-extract',
+    'hue', 'saturation', 'color', 'value'
+];
+
+// Decode an encoded image (png, jpeg, ...) into a premultiplied mapnik.Image.
+function decode(buffer) {
+    var image = mapnik.Image.fromBytes(buffer);
+    if (!image.premultiplied()) image.premultiplySync();
+    return image;
+}
+
+// Pixels resampled by transform() between yields to the event loop.
+var CHUNK_PIXELS = 65536;
+
+// Resample `source` into a new width x height image. `matrix` is an
+// affine transform [a, b, c, d, e, f] from output pixel coordinates to
+// source pixel coordinates (sx = a*x + c*y + e, sy = b*x + d*y + f),
+// sampled bilinearly at pixel centers. Pixels mapping outside the source
+// are left transparent. Works through the rows in chunks so that large
+// images do not block other renders.
+function transform(source, width, height, matrix, callback) {
+    if (!source.premultiplied()) source.premultiplySync();
+    var sw = source.width(),
+        sh = source.height(),
+        src = source.data(),
+        out = Buffer.alloc(width * height * 4);
+    var a = matrix[0], b = matrix[1], c = matrix[2],
+        d = matrix[3], e = matrix[4], f = matrix[5];
+    var rows = Math.max(1, Math.floor(CHUNK_PIXELS / width));
+
+    chunk(0);
+
+    function chunk(start) {
+        try {
+            for (var j = start; j < Math.min(height, start + rows); j++) row(j);
+        } catch (err) {
+            return callback(err);
+        }
+        if (start + rows < height) return setImmediate(chunk, start + rows);
+
+        var image;
+        try {
+            image = mapnik.Image.fromBufferSync(width, height, out, { premultiplied: true });
+        } catch (err) {
+            return callback(err);
+        }
+        // fromBufferSync does not copy: the pixels must outlive the image.
+        image.pixels = out;
+        callback(null, image);
+    }
+
+    function row(j) {
+        var cy = j + 0.5;
+        for (var i = 0; i < width; i++) {
+            var cx = i + 0.5;
+            var u = a * cx + c * cy + e - 0.5,
+                v = b * cx + d * cy + f - 0.5;
+            if (u <= -1 || v <= -1 || u >= sw || v >= sh) continue;
+
+            var x0 = Math.floor(u),
+                y0 = Math.floor(v),
+                fx = u - x0,
+                fy = v - y0;
+            var w00 = (1 - fx) * (1 - fy),
+                w10 = fx * (1 - fy),
+                w01 = (1 - fx) * fy,
+                w11 = fx * fy;
+            var i00 = texel(x0, y0),
+                i10 = texel(x0 + 1, y0),
+                i01 = texel(x0, y0 + 1),
+                i11 = texel(x0 + 1, y0 + 1);
+            var o = (j * width + i) * 4;
+            for (var ch = 0; ch < 4; ch++) {
+                var value = 0;
+                if (i00 >= 0) value += w00 * src[i00 + ch];
+                if (i10 >= 0) value += w10 * src[i10 + ch];
+                if (i01 >= 0) value += w01 * src[i01 + ch];
+                if (i11 >= 0) value += w11 * src[i11 + ch];
+                out[o + ch] = Math.round(value);
+            }
+        }
+    }
+
+    function texel(x, y) {
+        if (x < 0 || y < 0 || x >= sw || y >= sh) return -1;
+        return (y * sw + x) * 4;
+    }
+}
+
+// A transparent, premultiplied width x height image.
+function canvas(width, height) {
+    return new mapnik.Image(width, height, { premultiplied: true });
+}
+
+// Draw premultiplied `image` over `base` with one of COMP_OPS, default
+// 'src-over', at `opacity` (0-1, default 1).
+function composite(base, image, compOp, opacity, callback) {
+    base.composite(image, {
+        comp_op: mapnik.compositeOp[(compOp || 'src-over').replace(/-/g, '_')],
+        opacity: opacity === undefined ? 1 : opacity
+    }, function(err) {
+        callback(err || null);
+    });
+}
+
+// mapnik encoding string matching blend's format/quality semantics:
+// png quality is the number of colors, jpeg and webp quality is 0-100.
+// Other formats are mapnik format strings already.
+function encoding(format, quality) {
+    if (format === 'jpeg') return 'jpeg' + (quality || 80);
+    if (format === 'png') return quality ? 'png8:m=h:c=' + quality : 'png32';
+    if (format === 'webp') return quality === null || quality === undefined ? 'webp' : 'webp:quality=' + quality;
+    return format;
+}
+
+function encode(image, format, quality, callback) {
+    image.encode(encoding(format, quality), callback);
+}
+
+// A width x height png filled with a CSS color.
+function solid(width, height, color, callback) {
+    var image;
+    try {
+        image = new mapnik.Image(width, height);
+        image.fillSync(new mapnik.Color(color));
+    } catch (err) {
+        return callback(err);
+    }
+    image.encode('png32', callback);
+}
+
+// Quadrant (qx, qy) of an encoded parent tile, upscaled to full tile size.
+function overzoom(buffer, qx, qy, callback) {
+    var parent;
+    try {
+        parent = decode(buffer);
+    } catch (err) {
+        return callback(err);
+    }
+    var w = parent.width(),
+        h = parent.height();
+    transform(parent, w, h, [0.5, 0, 0, 0.5, qx * w / 2, qy * h / 2], function(err, image) {
+        if (err) return callback(err);
+        image.encode('png32', callback);
+    });
+}
+
+module.exports = {
+    COMP_OPS: COMP_OPS,
+    decode: decode,
+    transform: transform,
+    canvas: canvas,
+    composite: composite,
+    encoding: encoding,
+    encode: encode,
+    solid: solid,
+    overzoom: overzoom
+};
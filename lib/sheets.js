@@ -0,0 +1,90 @@
+'use strict';
+
+var errors = require('./errors');
+
+// Splitting an image too large to stitch at once into sheets, rendered
+// one by one. A sheet is a rectangle of the full image, in output pixels
+// from its top left corner.
+
+// Check abaculus.sheets() options. Returns an InvalidArgumentError or
+// null.
+//
+// options:
+// - width, height: size of a sheet in output pixels. Leaving out the
+//   width gives horizontal strips as wide as the image.
+// - overlap: pixels shared by neighbouring sheets, default 0
+// - concurrency: sheets rendered at once, default 1
+// - cache: TileCache shared by the sheets, default a new one
+// - onSheet(sheet, callback): receives each sheet as it is rendered
+function check(options) {
+    if (!options || typeof options !== 'object') return invalid('sheets needs options with a sheet height', 'options');
+    if (!isSize(options.height)) return invalid('sheet height must be a positive integer', 'height');
+    if (options.width !== undefined && !isSize(options.width)) return invalid('sheet width must be a positive integer', 'width');
+    var overlap = options.overlap === undefined ? 0 : options.overlap;
+    if (!(isInteger(overlap) && overlap >= 0 && overlap < Math.min(options.width || Infinity, options.height))) {
+        return invalid('overlap must be a non-negative integer smaller than the sheets', 'overlap');
+    }
+    if (options.concurrency !== undefined && !isSize(options.concurrency)) {
+        return invalid('concurrency must be a positive integer', 'concurrency');
+    }
+    if (options.cache !== undefined && !(options.cache && typeof options.cache.fetch === 'function')) {
+        return invalid('cache must be a TileCache', 'cache');
+    }
+    if (options.onSheet !== undefined && typeof options.onSheet !== 'function') {
+        return invalid('onSheet must be a function', 'onSheet');
+    }
+    return null;
+}
+
+// Sheets covering a width x height image, row by row. Sheets in the last
+// row and column are cut at the image edges. Throws an
+// ImageTooLargeError for sheets of `limit` pixels or more.
+function layout(width, height, options, limit) {
+    var sheetWidth = Math.min(options.width || width, width),
+        sheetHeight = Math.min(options.height, height),
+        overlap = options.overlap || 0;
+    if (sheetWidth >= limit || sheetHeight >= limit) {
+        throw new errors.ImageTooLargeError('Sheets are too large.', sheetWidth, sheetHeight, limit);
+    }
+    var columns = span(width, sheetWidth, overlap),
+        rows = span(height, sheetHeight, overlap);
+    var sheets = [];
+    for (var row = 0; row < rows; row++) {
+        for (var column = 0; column < columns; column++) {
+            var x = column * (sheetWidth - overlap),
+                y = row * (sheetHeight - overlap);
+            sheets.push({
+                index: sheets.length,
+                row: row,
+                column: column,
+                x: x,
+                y: y,
+                width: Math.min(sheetWidth, width - x),
+                height: Math.min(sheetHeight, height - y)
+            });
+        }
+    }
+    return { rows: rows, columns: columns, sheets: sheets };
+}
+
+// Sheets of `size` overlapping by `overlap` needed to cover `total`.
+function span(total, size, overlap) {
+    return size >= total ? 1 : Math.ceil((total - overlap) / (size - overlap));
+}
+
+function invalid(message, argument) {
+    return new errors.InvalidArgumentError(message, argument);
+}
+
+function isInteger(value) {
+    return typeof value === 'number' && isFinite(value) && Math.floor(value) === value;
+}
+
+function isSize(value) {
+    return isInteger(value) && value > 0;
+}
+
+module.exports = {
+    check: check,
+    layout: layout
+};
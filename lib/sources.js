@@ -0,0 +1,243 @@
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var http = require('http');
+var https = require('https');
+var errors = require('./errors');
+
+// getTile functions reading tiles from common local and remote stores.
+// They call back with `(err, buffer, headers, stats)`, `stats.render`
+// being the ms spent reading the tile. Missing tiles call back with a
+// 'Tile does not exist' error, so the `missingTile` policies apply to
+// them.
+//
+// Templates may use {z}, {x} and {y}, {-y} for the TMS row counted from
+// the bottom, {q} for the Bing-style quadkey and {s} for a subdomain.
+
+// Headers of a tile response passed on to abaculus. X-Attribution is
+// drawn by the attribution decoration.
+var PASSED_HEADERS = ['content-type', 'last-modified', 'etag', 'cache-control', 'expires', 'x-attribution'];
+
+// Tiles from a directory tree or from files named by a template.
+//
+// `root` is either a template such as `tiles/{z}/{x}/{y}.png`, or a
+// directory holding `z/x/y.<extension>` files.
+// options:
+// - scheme: 'xyz' (default) or 'tms' when rows count from the bottom;
+//   templates say so with {-y} instead
+// - extension: of the tile files in a directory, default 'png'
+function directory(root, options) {
+    options = options || {};
+    var template = /\{(z|x|-?y|q)\}/.test(root) ? root :
+        path.join(root, '{z}', '{x}', '{y}.' + (options.extension || 'png'));
+    var tms = options.scheme === 'tms';
+    if (tms && /\{-y\}/.test(template)) {
+        throw new errors.InvalidArgumentError('scheme tms would flip the {-y} rows of the template back', 'scheme');
+    }
+
+    return function(z, x, y, callback) {
+        var start = Date.now();
+        var file = expand(template, z, x, tms ? flip(z, y) : y);
+        fs.readFile(file, function(err, buffer) {
+            if (err && err.code === 'ENOENT') return callback(new Error('Tile does not exist'));
+            if (err) return callback(err);
+            fs.stat(file, function(err, stat) {
+                if (err) return callback(err);
+                callback(null, buffer, { 'Last-Modified': stat.mtime.toUTCString() }, { render: Date.now() - start });
+            });
+        });
+    };
+}
+
+// Tiles from an MBTiles file, whose rows count from the bottom. Needs the
+// `sqlite3` module, which users install themselves. The `attribution`
+// metadata is passed on as an X-Attribution header. The returned getTile
+// has a `close(callback)` method releasing the file.
+function mbtiles(file) {
+    var sqlite3;
+    try {
+        sqlite3 = require('sqlite3');
+    } catch (err) {
+        throw new Error('Reading MBTiles needs the sqlite3 module: npm install sqlite3');
+    }
+    var db = null,
+        headers = null,
+        opening = [];
+
+    function open(callback) {
+        if (db) return callback(null, db);
+        opening.push(callback);
+        if (opening.length > 1) return;
+        fs.stat(file, function(err, stat) {
+            if (err) return opened(err);
+            headers = { 'Last-Modified': stat.mtime.toUTCString() };
+            var handle = new sqlite3.Database(file, sqlite3.OPEN_READONLY, function(err) {
+                if (err) return opened(err);
+                handle.get('SELECT value FROM metadata WHERE name = ?', 'attribution', function(err, found) {
+                    // files without a metadata table have no attribution
+                    if (!err && found && found.value) headers['X-Attribution'] = found.value;
+                    db = handle;
+                    opened(null);
+                });
+            });
+        });
+    }
+
+    function opened(err) {
+        var waiting = opening;
+        opening = [];
+        waiting.forEach(function(cb) {
+            cb(err || null, db);
+        });
+    }
+
+    var getTile = function(z, x, y, callback) {
+        var start = Date.now();
+        open(function(err, db) {
+            if (err) return callback(err);
+            db.get('SELECT tile_data FROM tiles WHERE zoom_level = ? AND tile_column = ? AND tile_row = ?', z, x, flip(z, y), function(err, found) {
+                if (err) return callback(err);
+                if (!found) return callback(new Error('Tile does not exist'));
+                callback(null, found.tile_data, Object.assign({}, headers), { render: Date.now() - start });
+            });
+        });
+    };
+    getTile.close = function(callback) {
+        callback = callback || function() {};
+        if (!db) return process.nextTick(callback, null);
+        var handle = db;
+        db = null;
+        handle.close(callback);
+    };
+    return getTile;
+}
+
+// Tiles from an http(s) URL template such as
+// `https://{s}.tiles.example.com/{z}/{x}/{y}.png` or
+// `https://tiles.example.com/{q}.jpeg`.
+// options:
+// - subdomains: values for {s}, picked per tile, default ['a', 'b', 'c']
+// - retries: attempts after a network error or 5xx response, default 2
+// - retryDelay: ms before the first retry, doubled for each one after,
+//   default 100
+// - timeout: ms to wait for a response before the request fails like a
+//   network error, default 30000
+function xyz(template, options) {
+    options = options || {};
+    var subdomains = options.subdomains || ['a', 'b', 'c'],
+        retries = options.retries === undefined ? 2 : options.retries,
+        delay = options.retryDelay === undefined ? 100 : options.retryDelay,
+        timeout = options.timeout === undefined ? 30000 : options.timeout;
+
+    return function(z, x, y, callback) {
+        var start = Date.now(),
+            attempt = 0,
+            signal = callback.signal;
+        var url = expand(template, z, x, y).replace(/\{s\}/g, subdomains[Math.abs(x + y) % subdomains.length]);
+
+        (function next() {
+            get(url, signal, timeout, function(err, buffer, headers) {
+                if (err && err.retry && attempt < retries && !(signal && signal.aborted)) {
+                    return setTimeout(next, delay * Math.pow(2, attempt++));
+                }
+                if (err) return callback(err);
+                callback(null, buffer, headers, { render: Date.now() - start });
+            });
+        })();
+    };
+}
+
+// GET url, giving up after `timeout` ms without a response (0 waits
+// forever). Errors worth retrying are flagged with `retry`.
+function get(url, signal, timeout, callback) {
+    var finished = false;
+    var request = (/^https:/.test(url) ? https : http).get(url, function(res) {
+        var chunks = [];
+        res.on('data', function(chunk) {
+            chunks.push(chunk);
+        });
+        res.on('error', fail);
+        res.on('end', function() {
+            if (res.statusCode === 404 || res.statusCode === 204) return done(new Error('Tile does not exist'));
+            if (res.statusCode !== 200) {
+                var err = new Error('HTTP ' + res.statusCode + ' for ' + url);
+                err.retry = res.statusCode >= 500 || res.statusCode === 429;
+                return done(err);
+            }
+            var headers = {};
+            PASSED_HEADERS.forEach(function(name) {
+                if (res.headers[name] !== undefined) headers[name] = res.headers[name];
+            });
+            done(null, Buffer.concat(chunks), headers);
+        });
+    });
+    request.on('error', fail);
+    if (timeout) {
+        request.setTimeout(timeout, function() {
+            request.destroy(new Error('Timed out after ' + timeout + 'ms for ' + url));
+        });
+    }
+    // stop waiting once abaculus gives up on the tile
+    if (signal) signal.addEventListener('abort', onAbort);
+
+    function onAbort() {
+        request.destroy(new errors.AbortError());
+    }
+
+    function fail(err) {
+        err.retry = true;
+        done(err);
+    }
+
+    function done(err, buffer, headers) {
+        // a destroyed request may report its error more than once
+        if (finished) return;
+        finished = true;
+        if (signal) signal.removeEventListener('abort', onAbort);
+        callback(err || null, buffer, headers);
+    }
+}
+
+// The source described by a string: an http(s) URL template, an
+// `.mbtiles` file or a file name template. `options` are passed on to
+// xyz() for URL templates.
+function fromString(spec, options) {
+    if (/^https?:\/\//.test(spec)) return xyz(spec, options);
+    if (/\.mbtiles$/.test(spec)) return mbtiles(spec);
+    if (!/\{q\}/.test(spec) && !(/\{z\}/.test(spec) && /\{x\}/.test(spec) && /\{-?y\}/.test(spec))) {
+        throw new Error('Tile source must be an http(s) URL or file template with {z}, {x} and {y} (or {q}), or an .mbtiles file: ' + spec);
+    }
+    return directory(spec);
+}
+
+function expand(template, z, x, y) {
+    return template
+        .replace(/\{z\}/g, z)
+        .replace(/\{x\}/g, x)
+        .replace(/\{y\}/g, y)
+        .replace(/\{-y\}/g, flip(z, y))
+        .replace(/\{q\}/g, quadkey(z, x, y));
+}
+
+// Row y counted from the bottom of zoom z, as TMS and MBTiles do.
+function flip(z, y) {
+    return Math.pow(2, z) - 1 - y;
+}
+
+function quadkey(z, x, y) {
+    var key = '';
+    for (var i = z; i > 0; i--) {
+        var mask = 1 << (i - 1);
+        key += ((x & mask) ? 1 : 0) + ((y & mask) ? 2 : 0);
+    }
+    return key;
+}
+
+module.exports = {
+    directory: directory,
+    mbtiles: mbtiles,
+    xyz: xyz,
+    fromString: fromString,
+    quadkey: quadkey
+};
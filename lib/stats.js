@@ -0,0 +1,99 @@
+'use strict';
+
+// Progress events and the detailed stats of a render.
+
+// Tracks a render: counts its tiles, reports each step to
+// `onProgress(event)` and times its phases. Phases run one after another;
+// a phase seen again (such as 'blend' for every layer) adds to its time.
+//
+// Events have a `type`:
+// - 'phase': a `phase` starts, one of 'plan', 'fetch', 'render' (vector
+//   tiles), 'blend', 'draw' and 'encode'
+// - 'queued', 'fetched', 'failed': about tile `z`, `x`, `y` (and `layer`).
+//   Fetched tiles note the `ms` getTile took and the `bytes` it returned,
+//   or `cached: true`. Failed tiles note the `error` message and, when the
+//   missingTile policy stood in for them, the `substitute`.
+// Every event carries the running `queued`, `fetched` and `failed` counts.
+function Progress(onProgress) {
+    this.onProgress = onProgress || null;
+    this.queued = 0;
+    this.fetched = 0;
+    this.failed = 0;
+    this.timings = {};
+    this._phase = null;
+    this._start = 0;
+}
+
+// End the current phase and start `name`.
+Progress.prototype.phase = function(name) {
+    this.end();
+    this._phase = name;
+    this._start = Date.now();
+    this.emit({ type: 'phase', phase: name });
+};
+
+// End the current phase. Returns the ms spent in each phase so far.
+Progress.prototype.end = function() {
+    if (this._phase) {
+        this.timings[this._phase] = (this.timings[this._phase] || 0) + Date.now() - this._start;
+        this._phase = null;
+    }
+    return this.timings;
+};
+
+// Count a 'queued', 'fetched' or 'failed' tile and report it.
+Progress.prototype.tile = function(type, fields) {
+    this[type]++;
+    this.emit(Object.assign({ type: type }, fields));
+};
+
+Progress.prototype.emit = function(event) {
+    if (!this.onProgress) return;
+    event.queued = this.queued;
+    event.fetched = this.fetched;
+    event.failed = this.failed;
+    this.onProgress(event);
+};
+
+// Stats of the tiles fetched through getTile, from `{ z, x, y, ms, bytes }`
+// samples (with `layer` for layered renders): `latency` in ms as `{ min,
+// p50, p95, max }`, the `bytes` fetched and the `slowest` tile as `{ z, x,
+// y, ms }`. Tiles taken from a cache have no samples; without any,
+// latency and slowest are null.
+function summarize(samples) {
+    var bytes = 0,
+        slowest = null;
+    samples.forEach(function(sample) {
+        bytes += sample.bytes;
+        if (!slowest || sample.ms > slowest.ms) slowest = sample;
+    });
+    var ms = samples.map(function(sample) {
+        return sample.ms;
+    }).sort(function(a, b) {
+        return a - b;
+    });
+    return {
+        latency: ms.length ? {
+            min: ms[0],
+            p50: percentile(ms, 50),
+            p95: percentile(ms, 95),
+            max: ms[ms.length - 1]
+        } : null,
+        bytes: bytes,
+        slowest: slowest && Object.keys(slowest).reduce(function(memo, k) {
+            if (k !== 'bytes') memo[k] = slowest[k];
+            return memo;
+        }, {})
+    };
+}
+
+// Nearest-rank percentile `p` of the sorted `values`.
+function percentile(values, p) {
+    return values[Math.max(0, Math.ceil(p / 100 * values.length) - 1)];
+}
+
+module.exports = {
+    Progress: Progress,
+    summarize: summarize,
+    percentile: percentile
+};
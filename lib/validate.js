@@ -0,0 +1,339 @@
+'use strict';
+
+var InvalidArgumentError = require('./errors').InvalidArgumentError;
+var MISSING_TILE_POLICIES = require('./fetch').MISSING_TILE_POLICIES;
+var GEOMETRY_TYPES = require('./overlay').GEOMETRY_TYPES;
+var COMP_OPS = require('./raster').COMP_OPS;
+var decorations = require('./decorations');
+var formats = require('./formats');
+var grids = require('./grids');
+
+// Latitude where the square Web Mercator world ends.
+var MAX_LATITUDE = 85.0511287798066;
+// Deepest zoom accepted, as when sphericalmercator did the projection: tile
+// columns and rows stay within 32-bit integers.
+var MAX_ZOOM = 30;
+
+// Check every parameter accepted by abaculus(). Returns an
+// InvalidArgumentError describing the first problem found, or null.
+module.exports = function validate(arg) {
+    if (!arg || typeof arg !== 'object') return invalid('No arguments provided.', 'arg');
+    if (arg.layers === undefined && typeof arg.getTile !== 'function') return invalid('Invalid function for getting tiles', 'getTile');
+    if (!arg.center && !arg.bbox) return invalid('No coordinates provided.', 'center');
+
+    var grid = grids.get(arg.grid);
+    if (!grid) return invalid('grid must be a TileGrid or one of webmercator, tms, wgs84', 'grid');
+    var maxZoom = Math.min(MAX_ZOOM, grid.maxZoom);
+    if (arg.zoom !== undefined && !(isNumber(arg.zoom) && arg.zoom >= 0 && arg.zoom <= maxZoom)) {
+        return invalid('zoom must be a number between 0 and ' + maxZoom, 'zoom');
+    }
+    if (arg.scale !== undefined && !(isInteger(arg.scale) && arg.scale >= 1)) {
+        return invalid('scale must be a positive integer', 'scale');
+    }
+    if (arg.tileSize !== undefined && !(isInteger(arg.tileSize) && arg.tileSize > 0)) {
+        return invalid('tileSize must be a positive integer', 'tileSize');
+    }
+    if (arg.tileSize !== undefined && grid.matrices && arg.tileSize !== grid.tileSize) {
+        return invalid('tileSize must be ' + grid.tileSize + ', the tile size of the grid', 'tileSize');
+    }
+    if (arg.bearing !== undefined && !isNumber(arg.bearing)) {
+        return invalid('bearing must be a number of degrees', 'bearing');
+    }
+    if (arg.limit !== undefined && !(isNumber(arg.limit) && arg.limit > 0)) {
+        return invalid('limit must be a positive number', 'limit');
+    }
+    if (arg.onProgress !== undefined && typeof arg.onProgress !== 'function') {
+        return invalid('onProgress must be a function', 'onProgress');
+    }
+
+    var err = validateFetch(arg) || validateStyle(arg) || validateGrid(arg, grid) || validateCaching(arg);
+    if (err) return err;
+    if (arg.layers !== undefined) {
+        err = validateLayers(arg, grid);
+        if (err) return err;
+    }
+    if (arg.overlays !== undefined) {
+        err = validateOverlays(arg.overlays);
+        if (err) return err;
+    }
+    if (arg.decorations !== undefined) {
+        err = validateDecorations(arg.decorations);
+        if (err) return err;
+    }
+
+    err = arg.center ? validateCenter(arg.center, grid.maxLatitude) : validateBbox(arg.bbox, grid.maxLatitude);
+    if (err) return err;
+    if (!arg.center && (arg.width !== undefined || arg.height !== undefined)) {
+        err = validateFit(arg);
+        if (err) return err;
+    }
+
+    var format = arg.format === undefined ? 'png' : arg.format;
+    var problem = formats.check(format);
+    if (problem) return invalid(problem, 'format');
+    return validateQuality(format, arg.quality);
+};
+
+module.exports.MAX_LATITUDE = MAX_LATITUDE;
+
+function validateCenter(center, maxLatitude) {
+    if (typeof center !== 'object') return invalid('center must be an object', 'center');
+    if (!isLongitude(center.x)) return invalid('center.x must be a longitude between -180 and 180', 'center');
+    if (!isLatitude(center.y, maxLatitude)) return invalid('center.y must be a latitude between -' + maxLatitude + ' and ' + maxLatitude, 'center');
+    if (!(isNumber(center.w) && center.w > 0)) return invalid('center.w must be a positive number', 'center');
+    if (!(isNumber(center.h) && center.h > 0)) return invalid('center.h must be a positive number', 'center');
+    return null;
+}
+
+function validateBbox(bbox, maxLatitude) {
+    if (!Array.isArray(bbox) || bbox.length !== 4 || !bbox.every(isNumber)) {
+        return invalid('bbox must be an array of four numbers [w, s, e, n]', 'bbox');
+    }
+    if (!isLongitude(bbox[0]) || !isLongitude(bbox[2])) {
+        return invalid('bbox longitudes must be between -180 and 180', 'bbox');
+    }
+    if (!isLatitude(bbox[1], maxLatitude) || !isLatitude(bbox[3], maxLatitude)) {
+        return invalid('bbox latitudes must be between -' + maxLatitude + ' and ' + maxLatitude, 'bbox');
+    }
+    return null;
+}
+
+// bbox plus width/height: the zoom is derived, so it may only be bounded.
+function validateFit(arg) {
+    if (!(isNumber(arg.width) && arg.width > 0) || !(isNumber(arg.height) && arg.height > 0)) {
+        return invalid('width and height must both be positive numbers', 'width');
+    }
+    if (arg.zoom !== undefined) {
+        return invalid('zoom cannot be combined with width and height, use minZoom/maxZoom', 'zoom');
+    }
+    var padding = arg.padding === undefined ? 0 : arg.padding;
+    if (!(isNumber(padding) && padding >= 0 && padding * 2 < Math.min(arg.width, arg.height))) {
+        return invalid('padding must be a non-negative number smaller than half the width and height', 'padding');
+    }
+    var minZoom = arg.minZoom === undefined ? 0 : arg.minZoom,
+        maxZoom = arg.maxZoom === undefined ? Math.min(22, MAX_ZOOM) : arg.maxZoom;
+    if (!(isInteger(minZoom) && minZoom >= 0 && minZoom <= MAX_ZOOM)) {
+        return invalid('minZoom must be an integer between 0 and ' + MAX_ZOOM, 'minZoom');
+    }
+    if (!(isInteger(maxZoom) && maxZoom >= minZoom && maxZoom <= MAX_ZOOM)) {
+        return invalid('maxZoom must be an integer between minZoom and ' + MAX_ZOOM, 'maxZoom');
+    }
+    return null;
+}
+
+function validateFetch(arg) {
+    if (arg.timeout !== undefined && !(isNumber(arg.timeout) && arg.timeout >= 0)) {
+        return invalid('timeout must be a non-negative number of milliseconds', 'timeout');
+    }
+    if (arg.retries !== undefined && !(isInteger(arg.retries) && arg.retries >= 0)) {
+        return invalid('retries must be a non-negative integer', 'retries');
+    }
+    if (arg.retryDelay !== undefined && !(isNumber(arg.retryDelay) && arg.retryDelay >= 0)) {
+        return invalid('retryDelay must be a non-negative number of milliseconds', 'retryDelay');
+    }
+    if (arg.concurrency !== undefined && !(isInteger(arg.concurrency) && arg.concurrency >= 1)) {
+        return invalid('concurrency must be a positive integer', 'concurrency');
+    }
+    if (arg.signal !== undefined && !(arg.signal && typeof arg.signal.aborted === 'boolean' &&
+        typeof arg.signal.addEventListener === 'function')) {
+        return invalid('signal must be an AbortSignal-style object', 'signal');
+    }
+    if (arg.cache !== undefined && !(arg.cache && typeof arg.cache.fetch === 'function')) {
+        return invalid('cache must be a TileCache', 'cache');
+    }
+    if (arg.cacheKey !== undefined && typeof arg.cacheKey !== 'string') {
+        return invalid('cacheKey must be a string', 'cacheKey');
+    }
+    if (arg.missingTile !== undefined && MISSING_TILE_POLICIES.indexOf(arg.missingTile) === -1) {
+        return invalid('missingTile must be one of ' + MISSING_TILE_POLICIES.join(', '), 'missingTile');
+    }
+    if (arg.missingTile === 'color' && typeof arg.missingTileColor !== 'string') {
+        return invalid('missingTileColor must be a CSS color string', 'missingTileColor');
+    }
+    return null;
+}
+
+function validateCaching(arg) {
+    if (arg.cacheControl !== undefined && typeof arg.cacheControl !== 'string' && typeof arg.cacheControl !== 'function') {
+        return invalid('cacheControl must be a header value or a function returning one', 'cacheControl');
+    }
+    if (arg.ifNoneMatch !== undefined && arg.ifNoneMatch !== null && typeof arg.ifNoneMatch !== 'string') {
+        return invalid('ifNoneMatch must be an If-None-Match header value', 'ifNoneMatch');
+    }
+    if (arg.ifModifiedSince !== undefined && arg.ifModifiedSince !== null &&
+        !((typeof arg.ifModifiedSince === 'string' || arg.ifModifiedSince instanceof Date) &&
+        !isNaN(new Date(arg.ifModifiedSince).getTime()))) {
+        return invalid('ifModifiedSince must be a date or an If-Modified-Since header value', 'ifModifiedSince');
+    }
+    return null;
+}
+
+function validateStyle(arg) {
+    if (arg.style !== undefined && typeof arg.style !== 'string') {
+        return invalid('style must be a mapnik XML string', 'style');
+    }
+    if (arg.styleBase !== undefined && typeof arg.styleBase !== 'string') {
+        return invalid('styleBase must be a directory path', 'styleBase');
+    }
+    if (arg.style !== undefined && arg.missingTile === 'overzoom') {
+        return invalid('missingTile cannot be overzoom for vector tiles', 'missingTile');
+    }
+    return null;
+}
+
+// Features that rely on the Web Mercator quadtree.
+function validateGrid(arg, grid) {
+    if (arg.missingTile === 'overzoom' && !grid.quadtree) {
+        return invalid('missingTile cannot be overzoom on a grid whose zoom levels do not double', 'missingTile');
+    }
+    if (arg.style !== undefined && grid !== grids.webmercator && grid !== grids.tms) {
+        return invalid('style needs the webmercator or tms grid', 'style');
+    }
+    return null;
+}
+
+function validateLayers(arg, grid) {
+    if (arg.getTile !== undefined) return invalid('getTile cannot be combined with layers', 'layers');
+    if (arg.style !== undefined) return invalid('style cannot be combined with layers, give each layer its own', 'style');
+    if (!Array.isArray(arg.layers) || !arg.layers.length) return invalid('layers must be a non-empty array', 'layers');
+    for (var i = 0; i < arg.layers.length; i++) {
+        var layer = arg.layers[i];
+        if (!layer || typeof layer.getTile !== 'function') return invalid('layer ' + i + ': Invalid function for getting tiles', 'layers');
+        if (layer.tileSize !== undefined && !(isInteger(layer.tileSize) && layer.tileSize > 0)) {
+            return invalid('layer ' + i + ': tileSize must be a positive integer', 'layers');
+        }
+        if (layer.opacity !== undefined && !(isNumber(layer.opacity) && layer.opacity >= 0 && layer.opacity <= 1)) {
+            return invalid('layer ' + i + ': opacity must be a number between 0 and 1', 'layers');
+        }
+        if (layer.compOp !== undefined && COMP_OPS.indexOf(layer.compOp) === -1) {
+            return invalid('layer ' + i + ': compOp must be one of ' + COMP_OPS.join(', '), 'layers');
+        }
+        if (layer.tileSize !== undefined && grid.matrices && layer.tileSize !== grid.tileSize) {
+            return invalid('layer ' + i + ': tileSize must be ' + grid.tileSize + ', the tile size of the grid', 'layers');
+        }
+        var inherited = Object.assign({ missingTile: arg.missingTile }, layer);
+        var err = validateFetch(layer) || validateStyle(inherited) || validateGrid(inherited, grid);
+        if (err) return invalid('layer ' + i + ': ' + err.message, 'layers');
+    }
+    return null;
+}
+
+function validateOverlays(overlays) {
+    var list = [].concat(overlays),
+        features = [];
+    for (var i = 0; i < list.length; i++) {
+        var overlay = list[i] || {};
+        if (overlay.type === 'FeatureCollection' && Array.isArray(overlay.features)) features = features.concat(overlay.features);
+        else if (overlay.type === 'Feature') features.push(overlay);
+        else return invalid('overlays must be GeoJSON Features or FeatureCollections', 'overlays');
+    }
+    for (var j = 0; j < features.length; j++) {
+        var feature = features[j] || {},
+            geometry = feature.geometry,
+            style = feature.properties || {};
+        if (feature.type !== 'Feature') return invalid('overlays must be GeoJSON Features or FeatureCollections', 'overlays');
+        if (geometry && GEOMETRY_TYPES.indexOf(geometry.type) === -1) {
+            return invalid('overlay geometry type must be one of ' + GEOMETRY_TYPES.join(', '), 'overlays');
+        }
+        if (geometry && !Array.isArray(geometry.type === 'GeometryCollection' ? geometry.geometries : geometry.coordinates)) {
+            return invalid('overlay geometries must have coordinates', 'overlays');
+        }
+        if (['stroke', 'fill'].some(function(k) { return style[k] !== undefined && style[k] !== null && typeof style[k] !== 'string'; })) {
+            return invalid('overlay stroke and fill must be CSS color strings', 'overlays');
+        }
+        if (['width', 'radius'].some(function(k) { return style[k] !== undefined && !(isNumber(style[k]) && style[k] >= 0); })) {
+            return invalid('overlay width and radius must be non-negative numbers', 'overlays');
+        }
+        if (style.opacity !== undefined && !(isNumber(style.opacity) && style.opacity >= 0 && style.opacity <= 1)) {
+            return invalid('overlay opacity must be a number between 0 and 1', 'overlays');
+        }
+        if (style.marker !== undefined && style.marker !== null && !Buffer.isBuffer(style.marker)) {
+            return invalid('overlay marker must be an image buffer', 'overlays');
+        }
+        if (style.anchor !== undefined && style.anchor !== null &&
+            !(Array.isArray(style.anchor) && style.anchor.length === 2 && style.anchor.every(isNumber))) {
+            return invalid('overlay anchor must be an [x, y] array of pixels', 'overlays');
+        }
+    }
+    return null;
+}
+
+function validateDecorations(options) {
+    if (!options || typeof options !== 'object') return invalid('decorations must be an object', 'decorations');
+    var names = Object.keys(decorations.ITEMS).concat('frame');
+    for (var name in options) {
+        if (names.indexOf(name) === -1) return invalid('decorations can be ' + names.join(', '), 'decorations');
+        var value = options[name];
+        if (value === undefined || value === null || typeof value === 'boolean') continue;
+        var item = value;
+        if (typeof value !== 'object') {
+            item = {};
+            item[decorations.SHORTHANDS[name]] = value;
+        }
+        var err = validateDecoration(name, item);
+        if (err) return err;
+    }
+    return null;
+}
+
+function validateDecoration(name, item) {
+    if (name === 'title' && item.text !== undefined && typeof item.text !== 'string') {
+        return invalid('decorations title must be a string', 'decorations');
+    }
+    if (name === 'attribution' && item.text !== undefined && item.text !== true && typeof item.text !== 'string') {
+        return invalid('decorations attribution must be true or a string', 'decorations');
+    }
+    if (name === 'scaleBar' && item.units !== undefined && ['metric', 'imperial'].indexOf(item.units) === -1) {
+        return invalid('decorations scaleBar units must be metric or imperial', 'decorations');
+    }
+    if (item.anchor !== undefined && decorations.ANCHORS.indexOf(item.anchor) === -1) {
+        return invalid('decorations anchor must be one of ' + decorations.ANCHORS.join(', '), 'decorations');
+    }
+    if (['size', 'maxWidth'].some(function(k) { return item[k] !== undefined && !(isNumber(item[k]) && item[k] > 0); })) {
+        return invalid('decorations ' + name + ' sizes must be positive numbers', 'decorations');
+    }
+    if (['margin', 'width'].some(function(k) { return item[k] !== undefined && !(isNumber(item[k]) && item[k] >= 0); })) {
+        return invalid('decorations frame margin and width must be non-negative numbers', 'decorations');
+    }
+    if (['color', 'halo', 'background'].some(function(k) { return item[k] !== undefined && typeof item[k] !== 'string'; })) {
+        return invalid('decorations colors must be CSS color strings', 'decorations');
+    }
+    return null;
+}
+
+function validateQuality(format, quality) {
+    if (quality === undefined || quality === null) return null;
+    if (!formats.isPlain(format)) {
+        return invalid('quality can only be given with the png, jpeg and webp formats', 'quality');
+    }
+    if (format === 'jpeg' && !(isInteger(quality) && quality >= 1 && quality <= 100)) {
+        return invalid('quality must be an integer between 1 and 100 for jpeg', 'quality');
+    }
+    if (format === 'png' && !(isInteger(quality) && quality >= 2 && quality <= 256)) {
+        return invalid('quality must be an integer between 2 and 256 for png', 'quality');
+    }
+    if (format === 'webp' && !(isInteger(quality) && quality >= 0 && quality <= 100)) {
+        return invalid('quality must be an integer between 0 and 100 for webp', 'quality');
+    }
+    return null;
+}
+
+function invalid(message, argument) {
+    return new InvalidArgumentError(message, argument);
+}
+
+function isNumber(value) {
+    return typeof value === 'number' && isFinite(value);
+}
+
+function isInteger(value) {
+    return isNumber(value) && Math.floor(value) === value;
+}
+
+function isLongitude(value) {
+    return isNumber(value) && value >= -180 && value <= 180;
+}
+
+function isLatitude(value, maxLatitude) {
+    return isNumber(value) && value >= -maxLatitude && value <= maxLatitude;
+}
@@ -0,0 +1,74 @@
+'use strict';
+
+var mapnik = require('@carto/mapnik');
+var mercator = require('./mercator');
+
+// Scale denominator of zoom 0 for 256 pixel tiles, which mapnik zoom
+// filters are written against.
+var Z0_SCALE_DENOMINATOR = 559082264.0287178;
+
+// Renders Mapbox Vector Tiles into png tiles of tileSize * scale pixels
+// with a mapnik XML `style`. The style is parsed into one map per tile
+// being rendered at the same time; maps are reused for later tiles.
+//
+// options:
+// - base: directory relative paths in the style resolve against
+// - tileSize: pixel size of a tile at scale 1, default 256
+// - scale: multiplies the tile size and the style's widths and sizes
+function VectorRenderer(style, options) {
+    options = options || {};
+    this.style = style;
+    this.base = options.base;
+    this.tileSize = options.tileSize || 256;
+    this.scale = options.scale || 1;
+    this._maps = [];
+}
+
+// Render the vector tile `buffer` for z/x/y. An empty buffer renders the
+// style's background. Calls back with a png buffer.
+VectorRenderer.prototype.render = function(buffer, z, x, y, callback) {
+    var renderer = this;
+    var size = Math.floor(this.tileSize * this.scale);
+    var map, vtile;
+    try {
+        map = this._maps.pop() || this._map(size);
+        vtile = new mapnik.VectorTile(z, x, y);
+    } catch (err) {
+        return callback(err);
+    }
+    if (!buffer || !buffer.length) return draw();
+    vtile.addData(buffer, function(err) {
+        if (err) return done(err);
+        draw();
+    });
+
+    function draw() {
+        map.extent = mercator.tileBounds(z, x, y);
+        vtile.render(map, new mapnik.Image(size, size), {
+            z: z,
+            x: x,
+            y: y,
+            scale: renderer.scale,
+            // keep zoom filters matching z at every scale and tileSize
+            scale_denominator: Z0_SCALE_DENOMINATOR * 256 / renderer.tileSize / Math.pow(2, z)
+        }, function(err, image) {
+            if (err) return done(err);
+            image.encode('png32', done);
+        });
+    }
+
+    function done(err, png) {
+        renderer._maps.push(map);
+        callback(err || null, png);
+    }
+};
+
+VectorRenderer.prototype._map = function(size) {
+    var map = new mapnik.Map(size, size);
+    var options = { strict: false };
+    if (this.base) options.base = this.base;
+    map.fromStringSync(this.style, options);
+    return map;
+};
+
+module.exports = VectorRenderer;
@@ -0,0 +1,73 @@
+'use strict';
+
+var mercator = require('./mercator');
+var grids = require('./grids');
+
+var D2R = mercator.D2R;
+
+// Maps between lng,lat and pixels of an image rendered by abaculus().
+// The image is centered on center.x/y (pixels at zoom z for tiles of
+// tileSize), is center.w x center.h pixels at scale s and is rotated by
+// `bearing` degrees clockwise. Pixels are measured from the top left
+// corner of the image and are not rounded. `grid` is the TileGrid the
+// pixels belong to, Web Mercator by default.
+function Viewport(z, s, center, tileSize, bearing, grid) {
+    this.grid = grid || grids.webmercator;
+    this.zoom = z;
+    this.scale = s;
+    this.tileSize = tileSize || this.grid.tileSize;
+    this.bearing = bearing || 0;
+    this.width = center.w;
+    this.height = center.h;
+    this.center = this.grid.ll([center.x, center.y], z, this.tileSize);
+    this._x = center.x;
+    this._y = center.y;
+}
+
+// [lng, lat] to [x, y] on the image. Longitudes are taken from the world
+// copy nearest to the image center, so points across the antimeridian
+// land next to it rather than a world away.
+Viewport.prototype.project = function(lngLat) {
+    return this.projectPath([lngLat])[0];
+};
+
+// Project the points of a line or ring. The first point is placed like
+// project() places it and each following point is kept within 180
+// degrees of the one before, so paths crossing the antimeridian stay
+// in one piece. Grids that do not wrap have a single world copy.
+Viewport.prototype.projectPath = function(lngLats) {
+    var view = this,
+        grid = this.grid;
+    var world = grid.worldWidth(this.zoom, this.tileSize);
+    var cos = Math.cos(this.bearing * D2R),
+        sin = Math.sin(this.bearing * D2R);
+    var lng, shift;
+    return lngLats.map(function(lngLat, i) {
+        lng = i && world ? lng + mercator.wrapLng(lngLat[0] - lng) : lngLat[0];
+        var p = grid.point([lng, lngLat[1]], view.zoom, view.tileSize);
+        var wx = p[0] - view._x,
+            wy = p[1] - view._y;
+        if (!i) shift = world ? world * Math.round(wx / world) : 0;
+        wx -= shift;
+        return [
+            view.width / 2 + view.scale * (wx * cos + wy * sin),
+            view.height / 2 + view.scale * (wy * cos - wx * sin)
+        ];
+    });
+};
+
+// [x, y] on the image to [lng, lat], with lng within [-180, 180] on
+// grids that wrap.
+Viewport.prototype.unproject = function(point) {
+    var dx = (point[0] - this.width / 2) / this.scale,
+        dy = (point[1] - this.height / 2) / this.scale;
+    var cos = Math.cos(this.bearing * D2R),
+        sin = Math.sin(this.bearing * D2R);
+    var lngLat = this.grid.ll([
+        this._x + dx * cos - dy * sin,
+        this._y + dx * sin + dy * cos
+    ], this.zoom, this.tileSize);
+    return [this.grid.wrap ? mercator.wrapLng(lngLat[0]) : lngLat[0], lngLat[1]];
+};
+
+module.exports = Viewport;
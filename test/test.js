@@ -5,6 +5,10 @@ var printer = require('../');
 var fs = require('fs');
 var path = require('path');
 var mapnik = require('@carto/mapnik');
+var EventEmitter = require('events');
+var http = require('http');
+var os = require('os');
+var execFile = require('child_process').execFile;
 
 // defaults
 var zoom = 5,
@@ -23,6 +27,44 @@ var tiles = fs.readdirSync(path.resolve(__dirname + '/fixtures/')).reduce(functi
     return memo;
 }, {});
 
+// The 256px fixture tile z/x/y.
+function fixture(z, x, y) {
+    return tiles[[z, x, y, 256].join('.')];
+}
+
+// A getTile serving the 256px fixtures with `headers`.
+function fixtureTiles(headers) {
+    return function(z, x, y, callback) {
+        callback(null, fixture(z, x, y), headers || {});
+    };
+}
+
+// abaculus() parameters: `defaults` with `overrides` applied.
+function extend(defaults, overrides) {
+    return Object.assign({}, defaults, overrides);
+}
+
+// Minimal AbortSignal stand-in; AbortController is not available on every supported Node.
+function signal() {
+    var emitter = new EventEmitter();
+    return {
+        aborted: false,
+        addEventListener: emitter.on.bind(emitter),
+        removeEventListener: emitter.removeListener.bind(emitter),
+        abort: function() {
+            this.aborted = true;
+            emitter.emit('abort');
+        }
+    };
+}
+
+// The r, g, b color at x, y of a mapnik.Image or an encoded image.
+function color(image, x, y) {
+    if (Buffer.isBuffer(image)) image = mapnik.Image.fromBytes(image);
+    var c = image.getPixel(x, y, { get_color: true });
+    return [c.r, c.g, c.b];
+}
+
 describe('Get center from bbox', function() {
     it('should fail if (x1, y1) and (x2,y2) are equal', function() {
         var bbox = [0, 0, 0, 0];
@@ -38,6 +80,15 @@ describe('Get center from bbox', function() {
             printer.coordsFromBbox(7, 2, bbox, limit);
         }, /Desired image is too large./);
     });
+    it('should treat west > east as crossing the antimeridian', function() {
+        var bbox = [170, -20, -170, 20];
+
+        var center = printer.coordsFromBbox(zoom, 1, bbox, limit);
+        assert.equal(center.w, 456);
+        assert.equal(center.h, 930);
+        assert.equal(center.x, 0);
+        assert.equal(center.y, y);
+    });
     it('should return the correct coordinates', function() {
         var bbox = [-60, -60, 60, 60];
 
@@ -47,6 +98,15 @@ describe('Get center from bbox', function() {
         assert.deepEqual(center.x, x);
         assert.deepEqual(center.y, y);
     });
+    it('should return unscaled origin coords for a scale and tileSize', function() {
+        var bbox = [-180, -85.0511287798066, 180, 85.0511287798066];
+
+        var center = printer.coordsFromBbox(1, 2, bbox, limit, 512);
+        assert.equal(center.w, 2048);
+        assert.equal(center.h, 2048);
+        assert.equal(center.x, 512);
+        assert.equal(center.y, 512);
+    });
 });
 
 describe('get coordinates from center', function() {
@@ -84,6 +144,15 @@ describe('get coordinates from center', function() {
         assert.equal(center.x, 623);
         assert.equal(center.y, 552);
     });
+    it('should place tiles for a scale and tileSize', function() {
+        var center = printer.coordsFromCenter(1, 2, { x: 0, y: 0, w: 200, h: 200 }, limit, 512);
+        assert.deepEqual(center, { x: 512, y: 512, w: 400, h: 400 });
+
+        var coords = printer.tileList(1, 2, center, 512);
+        assert.deepEqual(coords.tiles.map(function(t) {
+            return [t.x, t.y, t.px, t.py];
+        }), [[0, 0, -824, -824], [0, 1, -824, 200], [1, 0, 200, -824], [1, 1, 200, 200]]);
+    });
 });
 
 describe('create list of tile coordinates', function() {
@@ -184,101 +253,2209 @@ describe('create list of tile coordinates', function() {
     });
 });
 
-[256, 512, 1024].forEach(function(size) {
-    describe('stitch tiles into single png', function() {
-        var expectedCoords = {
-            tiles: [
-                { z: 1, x: 0, y: 0, px: 0, py: 0 },
-                { z: 1, x: 0, y: 1, px: 0, py: size },
-                { z: 1, x: 1, y: 0, px: size, py: 0 },
-                { z: 1, x: 1, y: 1, px: size, py: size }
-            ],
-            dimensions: {
-                x: size * 2,
-                y: size * 2
-            },
-            center: { row: 1, column: 1, zoom: 1 },
-            scale: 1,
-            tileSize: size
+describe('asynchronous error delivery', function() {
+    var getTile = function(z, x, y, callback) {
+        callback(new Error('Tile does not exist'));
+    };
+
+    it('calls back with validation errors instead of throwing', function(done) {
+        var returned = false;
+        printer({ zoom: 7, scale: 2, bbox: [-60, -60, 60, 60], getTile: getTile }, function(err) {
+            assert.ok(returned, 'callback must not be called synchronously');
+            assert.equal(err.message, 'Desired image is too large.');
+            done();
+        });
+        returned = true;
+    });
+
+    it('rejects with validation errors when no callback is given', function() {
+        return printer({ zoom: 5, scale: 4, bbox: [0, 0, 0, 0], getTile: getTile }).then(function() {
+            assert.fail('should have rejected');
+        }, function(err) {
+            assert.equal(err.message, 'Incorrect coordinates');
+        });
+    });
+
+    it('rejects when getTile is missing', function() {
+        return printer({ zoom: 1, center: { x: 0, y: 0, w: 10, h: 10 } }).then(function() {
+            assert.fail('should have rejected');
+        }, function(err) {
+            assert.equal(err.message, 'Invalid function for getting tiles');
+        });
+    });
+
+    it('calls back with errors thrown by getTile', function(done) {
+        var params = {
+            zoom: 1,
+            center: { x: 0, y: 0, w: 10, h: 10 },
+            getTile: function() { throw new Error('boom'); }
         };
+        printer(params, function(err) {
+            assert.ok(err instanceof printer.errors.TileFetchError);
+            assert.equal(err.cause.message, 'boom');
+            done();
+        });
+    });
+});
 
-        it('should fail if no coordinates object', function(done) {
-            printer.stitchTiles(null, format, quality, function() {}, function(err) {
-                assert.equal(err.message, 'No coords object.');
+describe('cancellation', function() {
+    it('stops fetching tiles and rejects with an AbortError', function() {
+        var s = signal(),
+            calls = 0,
+            signals = [];
+        var getTile = function(z, x, y, callback) {
+            assert.equal(callback.signal.aborted, false);
+            signals.push(callback.signal);
+            // the client goes away while the third tile is requested
+            if (++calls === 3) s.abort();
+            setTimeout(callback, 5, null, Buffer.alloc(0));
+        };
+        var params = {
+            zoom: 3,
+            center: { x: 0, y: 0, w: 1000, h: 1000 },
+            concurrency: 2,
+            signal: s,
+            getTile: getTile
+        };
+        return printer(params).then(function() {
+            assert.fail('should have rejected');
+        }, function(err) {
+            assert.ok(err instanceof printer.errors.AbortError);
+            assert.equal(err.code, 'ABORTED');
+            assert.equal(calls, 3);
+            assert.equal(signals[2].aborted, true);
+        });
+    });
+
+    it('reports tiles failing after the abort as aborted', function() {
+        var fetchTile = require('../lib/fetch');
+        return Promise.all([0, 2].map(function(retries) {
+            var s = signal();
+            var getTile = function(z, x, y, callback) {
+                s.abort();
+                setTimeout(callback, 1, new Error('socket hang up'));
+            };
+            return new Promise(function(resolve) {
+                fetchTile(getTile, 1, 0, 0, { retries: retries, retryDelay: 1, signal: s }, function(err) {
+                    assert.ok(err instanceof printer.errors.AbortError, retries + ' retries: ' + err);
+                    resolve();
+                });
+            });
+        }));
+    });
+
+    it('aborts each attempt that times out before retrying it', function(done) {
+        var fetchTile = require('../lib/fetch');
+        var inFlight = 0,
+            maxInFlight = 0,
+            calls = 0;
+        // a getTile that hangs until its attempt is aborted
+        var getTile = function(z, x, y, callback) {
+            calls++;
+            maxInFlight = Math.max(maxInFlight, ++inFlight);
+            callback.signal.addEventListener('abort', function() {
+                inFlight--;
+                callback(new Error('socket hang up'));
+            });
+        };
+        fetchTile(getTile, 1, 0, 0, { timeout: 10, retries: 2, retryDelay: 1 }, function(err) {
+            assert.ok(err instanceof printer.errors.TileFetchError);
+            assert.ok(/Timed out after 10ms/.test(err.message));
+            assert.equal(calls, 3);
+            assert.equal(maxInFlight, 1);
+            // the last attempt is aborted right after it reports the timeout
+            setImmediate(function() {
+                assert.equal(inFlight, 0);
                 done();
             });
         });
+    });
 
-        it('should return tiles and stitch them together', function(done) {
-            var expectedImage = fs.readFileSync(path.resolve(__dirname + '/expected/expected.' + size + '.png'));
+    it('does not start when the signal is already aborted', function(done) {
+        var s = signal();
+        s.abort();
+        var params = {
+            zoom: 1,
+            center: { x: 0, y: 0, w: 100, h: 100 },
+            signal: s,
+            getTile: function() { assert.fail('getTile should not be called'); }
+        };
+        printer(params, function(err) {
+            assert.ok(err instanceof printer.errors.AbortError);
+            done();
+        });
+    });
 
-            printer.stitchTiles(expectedCoords, format, quality, getTileTest, function(err, image, header) {
-                fs.writeFile(__dirname + '/outputs/expected.' + size + '.png', image, function(err){
-                    checkImage(image, expectedImage);
-                    done();
-                });
-            });
+    it('stops before blending when aborted after the tiles arrive', function() {
+        var s = signal();
+        var abortAtBlend = function(event) {
+            if (event.type === 'phase' && event.phase === 'blend') s.abort();
+        };
+        var single = {
+            zoom: 1,
+            center: { x: 0, y: 0, w: 100, h: 100 },
+            signal: s,
+            onProgress: abortAtBlend,
+            getTile: fixtureTiles()
+        };
+        return printer(single).then(function() {
+            assert.fail('should have rejected');
+        }, function(err) {
+            assert.ok(err instanceof printer.errors.AbortError);
+            s = signal();
+            return printer(extend(single, { signal: s, getTile: undefined, layers: [{ getTile: fixtureTiles() }] }));
+        }).then(function() {
+            assert.fail('should have rejected');
+        }, function(err) {
+            assert.ok(err instanceof printer.errors.AbortError);
         });
     });
 
-    describe('run entire function', function() {
-        it('stitches images with a center coordinate', function(done) {
-            var expectedImage = fs.readFileSync(path.resolve(__dirname + '/expected/center.' + size + '.png'));
+    it('stops before encoding when aborted while drawing', function(done) {
+        var s = signal();
+        var coords = printer.tileList(1, 1, { x: 256, y: 256, w: 100, h: 100 });
+        var options = {
+            signal: s,
+            draw: function(image, tileHeaders, callback) {
+                s.abort();
+                callback();
+            }
+        };
+        printer.stitchTiles(coords, 'png', null, fixtureTiles(), options, function(err, image) {
+            assert.ok(err instanceof printer.errors.AbortError);
+            assert.equal(image, undefined);
+            done();
+        });
+    });
 
-            var params = {
-                zoom: 1,
-                scale: 1,
-                center: {
-                    x: 0,
-                    y: 0,
-                    w: 200,
-                    h: 200
-                },
-                format: 'png',
-                quality: 50,
-                tileSize: size,
-                getTile: getTileTest
-            };
+    it('bounds the number of tiles in flight', function(done) {
+        var active = 0,
+            maxActive = 0;
+        var getTile = function(z, x, y, callback) {
+            maxActive = Math.max(maxActive, ++active);
+            setTimeout(function() {
+                active--;
+                callback(new Error('Tile does not exist'));
+            }, 5);
+        };
+        var coords = printer.tileList(3, 1, { x: 1024, y: 1024, w: 1000, h: 1000 });
+        printer.stitchTiles(coords, 'png', null, getTile, { concurrency: 3, missingTile: 'error' }, function(err) {
+            assert.ok(err instanceof printer.errors.TileFetchError);
+            assert.equal(maxActive, 3);
+            done();
+        });
+    });
+});
 
-            printer(params, function(err, image) {
-                assert.equal(err, null);
+describe('input validation', function() {
+    var getTile = function(z, x, y, callback) {
+        callback(new Error('Tile does not exist'));
+    };
+    var base = function(overrides) {
+        return extend({ zoom: 1, scale: 1, center: { x: 0, y: 0, w: 100, h: 100 }, getTile: getTile }, overrides);
+    };
 
-                fs.writeFile(__dirname + '/outputs/center.' + size + '.png', image, function(err){
-                    assert.equal(err, null);
-                    console.log('\tVisually check image at '+ __dirname + '/outputs/center.' + size + '.png');
+    [
+        ['non-numeric zoom', { zoom: '5' }, 'zoom'],
+        ['zoom out of range', { zoom: 31 }, 'zoom'],
+        ['non-integer scale', { scale: 1.5 }, 'scale'],
+        ['zero tileSize', { tileSize: 0 }, 'tileSize'],
+        ['latitude beyond the Mercator limit', { center: { x: 0, y: 89, w: 100, h: 100 } }, 'center'],
+        ['negative width', { center: { x: 0, y: 0, w: -100, h: 100 } }, 'center'],
+        ['malformed bbox', { center: null, bbox: [-10, -10, 10] }, 'bbox'],
+        ['bbox latitude beyond the Mercator limit', { center: null, bbox: [-10, -86, 10, 10] }, 'bbox'],
+        ['unknown format', { format: 'gif' }, 'format'],
+        ['an unknown png variant', { format: 'png16' }, 'format'],
+        ['an option of another format', { format: 'webp:c=64' }, 'format'],
+        ['a png color count that is not a number', { format: 'png8:c=abc' }, 'format'],
+        ['a png zlib level out of range', { format: 'png:z=10' }, 'format'],
+        ['a jpeg quality option out of range', { format: 'jpeg:quality=101' }, 'format'],
+        ['a webp quality option out of range', { format: 'webp:quality=500' }, 'format'],
+        ['a webp lossless option that is not a boolean', { format: 'webp:lossless=maybe' }, 'format'],
+        ['an unknown tiff compression', { format: 'tiff:compression=zip' }, 'format'],
+        ['webp quality out of range', { format: 'webp', quality: 101 }, 'quality'],
+        ['quality with a format string', { format: 'png8:m=h', quality: 64 }, 'quality'],
+        ['quality with tiff', { format: 'tiff', quality: 80 }, 'quality'],
+        ['a cacheControl that is not a string or function', { cacheControl: 60 }, 'cacheControl'],
+        ['an unparseable ifModifiedSince', { ifModifiedSince: 'yesterday' }, 'ifModifiedSince'],
+        ['jpeg quality out of range', { format: 'jpeg', quality: 101 }, 'quality'],
+        ['png quality out of range', { format: 'png', quality: 1 }, 'quality'],
+        ['negative timeout', { timeout: -1 }, 'timeout'],
+        ['non-integer retries', { retries: 1.5 }, 'retries'],
+        ['unknown missingTile policy', { missingTile: 'skip' }, 'missingTile'],
+        ['color policy without a color', { missingTile: 'color' }, 'missingTileColor'],
+        ['zero concurrency', { concurrency: 0 }, 'concurrency'],
+        ['a signal without addEventListener', { signal: { aborted: false } }, 'signal'],
+        ['a cache without fetch', { cache: {} }, 'cache'],
+        ['an onProgress that is not a function', { onProgress: true }, 'onProgress'],
+        ['overlays that are not GeoJSON', { overlays: [[0, 0]] }, 'overlays'],
+        ['an unknown overlay geometry', { overlays: { type: 'Feature', geometry: { type: 'Circle', coordinates: [0, 0] } } }, 'overlays'],
+        ['getTile combined with layers', { layers: [{ getTile: getTile }] }, 'layers'],
+        ['an unknown layer compOp', { getTile: undefined, layers: [{ getTile: getTile, compOp: 'burn' }] }, 'layers'],
+        ['a style that is not a string', { style: {} }, 'style'],
+        ['overzoom with vector tiles', { style: '<Map/>', missingTile: 'overzoom' }, 'missingTile'],
+        ['an unknown grid', { grid: 'utm' }, 'grid'],
+        ['vector tiles on a geographic grid', { grid: 'wgs84', style: '<Map/>' }, 'style'],
+        ['an unknown decoration', { decorations: { legend: true } }, 'decorations'],
+        ['a decoration anchored at no corner', { decorations: { title: { text: 'Map', anchor: 'center' } } }, 'decorations'],
+        ['scale bar units other than metric or imperial', { decorations: { scaleBar: 'nautical' } }, 'decorations'],
+        ['an overlay marker that is not a buffer', { overlays: { type: 'Feature', properties: { marker: 'pin.png' }, geometry: { type: 'Point', coordinates: [0, 0] } } }, 'overlays']
+    ].forEach(function(testCase) {
+        it('rejects ' + testCase[0], function() {
+            var err = printer.validate(base(testCase[1]));
+            assert.ok(err instanceof printer.errors.InvalidArgumentError);
+            assert.equal(err.code, 'INVALID_ARGUMENT');
+            assert.equal(err.argument, testCase[2]);
+        });
+    });
 
-                    // byte by byte check of image:
-                    checkImage(image, expectedImage);
-                    done();
-                });
-            });
+    it('accepts valid parameters', function() {
+        assert.equal(printer.validate(base({ format: 'jpeg', quality: 80 })), null);
+    });
+
+    it('reports an ImageTooLargeError with the requested size', function(done) {
+        printer(base({ zoom: 7, scale: 2, center: null, bbox: [-60, -60, 60, 60] }), function(err) {
+            assert.ok(err instanceof printer.errors.ImageTooLargeError);
+            assert.ok(err instanceof printer.errors.AbaculusError);
+            assert.equal(err.code, 'IMAGE_TOO_LARGE');
+            assert.equal(err.limit, limit);
+            assert.ok(err.width >= limit);
+            done();
         });
+    });
 
-        it('stitches images with a wsen bbox', function(done) {
-            var expectedImage = fs.readFileSync(path.resolve(__dirname + '/expected/bbox.' + size + '.png'));
+    it('reports a TileFetchError with the tile coordinates', function(done) {
+        printer(base({}), function(err) {
+            assert.ok(err instanceof printer.errors.TileFetchError);
+            assert.equal(err.code, 'TILE_FETCH_FAILED');
+            assert.equal(typeof err.z, 'number');
+            assert.equal(typeof err.x, 'number');
+            assert.equal(typeof err.y, 'number');
+            assert.equal(err.cause.message, 'Tile does not exist');
+            done();
+        });
+    });
+});
 
-            var params = {
-                zoom: 1,
-                scale: 1,
-                bbox: [-140, -80, 140, 80],
-                format: 'png',
-                quality: 50,
-                tileSize: size,
-                getTile: getTileTest
-            };
+describe('tile deduplication', function() {
+    it('fetches each wrapped tile once and places it at every offset', function(done) {
+        var requested = [];
+        var getTile = function(z, x, y, callback) {
+            requested.push([z, x, y].join('/'));
+            callback(null, fixture(z, x, y), {});
+        };
+        var coords = printer.tileList(1, 1, { x: 100, y: 100, w: 2000, h: 2100 });
+        printer.stitchTiles(coords, 'png', null, getTile, function(err, image, headers, stats) {
+            assert.ifError(err);
+            assert.deepEqual(requested.sort(), ['1/0/0', '1/0/1', '1/1/0', '1/1/1']);
+            assert.equal(stats.uniqueTiles, 4);
+            assert.equal(stats.placedTiles, 18);
+            assert.equal(stats.tiles, 18);
+            done();
+        });
+    });
+});
 
-            printer(params, function(err, image, headers) {
-                assert.equal(err, null);
-                fs.writeFile(__dirname + '/outputs/bbox.' + size + '.png', image, function(err){
-                    assert.equal(err, null);
-                    console.log('\tVisually check image at '+ __dirname + '/outputs/bbox.'+ size +'.png');
+describe('tile cache', function() {
+    var tile = function(bytes, headers) {
+        return { buffer: Buffer.alloc(bytes), headers: headers || {}, stats: {} };
+    };
 
-                    // byte by byte check of image:
-                    checkImage(image, expectedImage);
-                    done();
-                });
+    it('evicts the least recently used tiles beyond maxBytes', function() {
+        var cache = new printer.TileCache({ maxBytes: 300 });
+        cache.set('a', tile(100));
+        cache.set('b', tile(100));
+        cache.set('c', tile(100));
+        cache.get('a');
+        cache.set('d', tile(100));
+        assert.equal(cache.bytes, 300);
+        assert.ok(cache.get('a'));
+        assert.equal(cache.get('b'), undefined);
+        assert.ok(cache.get('c'));
+        assert.ok(cache.get('d'));
+    });
+
+    it('honors Cache-Control', function() {
+        var cache = new printer.TileCache();
+        cache.set('no-store', tile(10, { 'Cache-Control': 'no-store' }));
+        cache.set('expired', tile(10, { 'cache-control': 'public, max-age=0' }));
+        cache.set('fresh', tile(10, { 'Cache-Control': 'max-age=60' }));
+        cache.set('past', tile(10, { 'Expires': new Date(Date.now() - 1000).toUTCString() }));
+        assert.equal(cache.get('no-store'), undefined);
+        assert.equal(cache.get('expired'), undefined);
+        assert.equal(cache.get('past'), undefined);
+        assert.ok(cache.get('fresh'));
+    });
+
+    it('does not cache substituted tiles', function() {
+        var cache = new printer.TileCache();
+        var substituted = tile(10);
+        substituted.substitute = 'transparent';
+        cache.set('a', substituted);
+        assert.equal(cache.get('a'), undefined);
+    });
+
+    it('shares fetches between renders and reports hits and misses', function() {
+        var requested = 0;
+        var getTile = function(z, x, y, callback) {
+            requested++;
+            var headers = { 'ETag': '"' + [z, x, y].join('-') + '"' };
+            setTimeout(callback, 5, null, fixture(z, x, y), headers);
+        };
+        var list = [0, 1, 2].map(function() {
+            return { zoom: 1, center: { x: 0, y: 0, w: 200, h: 200 }, getTile: getTile };
+        });
+        return printer.batch(list).then(function(results) {
+            assert.equal(requested, 4);
+            assert.equal(results.length, 3);
+            results.forEach(function(result) {
+                assert.ok(!result.error);
+                assert.equal(result.stats.cache.hits + result.stats.cache.misses, 4);
+                assert.equal(result.headers.ETag, results[0].headers.ETag);
+            });
+            assert.equal(results.reduce(function(memo, r) { return memo + r.stats.cache.misses; }, 0), 4);
+        });
+    });
+
+    it('fetches again for renders waiting on a fetch another render aborted', function() {
+        var calls = 0;
+        // The aborted render is missing its zoom 1 tiles; the parent tiles
+        // it overzooms fail the way a network request does once the render
+        // gives up.
+        var getTile = function(z, x, y, callback) {
+            calls++;
+            if (!callback.signal) return setTimeout(callback, 5, null, fixture(z, x, y), {});
+            if (z === 1) return callback(new Error('Tile does not exist'));
+            callback.signal.addEventListener('abort', function() {
+                callback(new Error('socket hang up'));
+            });
+        };
+        var s = signal(),
+            cache = new printer.TileCache();
+        var params = { zoom: 1, center: { x: 0, y: 0, w: 200, h: 200 }, cache: cache, getTile: getTile };
+        var aborted = printer(extend(params, { signal: s, missingTile: 'overzoom' }));
+        var other = printer(params);
+        setTimeout(function() {
+            s.abort();
+        }, 5);
+        return Promise.all([
+            aborted.then(function() {
+                assert.fail('should have rejected');
+            }, function(err) {
+                assert.ok(err instanceof printer.errors.AbortError);
+            }),
+            other
+        ]).then(function(results) {
+            assert.ok(Buffer.isBuffer(results[1].image));
+            assert.ok(calls > 4);
+        });
+    });
+
+    it('rejects a batch concurrency that is not a positive integer', function() {
+        var list = [{ zoom: 1, center: { x: 0, y: 0, w: 200, h: 200 }, getTile: fixtureTiles() }];
+        return Promise.all([0, 1.5, '2'].map(function(concurrency) {
+            return printer.batch(list, { concurrency: concurrency }).then(function() {
+                assert.fail('should have rejected');
+            }, function(err) {
+                assert.ok(err instanceof printer.errors.InvalidArgumentError);
+                assert.equal(err.argument, 'concurrency');
             });
+        }));
+    });
+
+    it('reports errors per render in a batch', function() {
+        var getTile = fixtureTiles();
+        var list = [
+            { zoom: 1, center: { x: 0, y: 0, w: 200, h: 200 }, getTile: getTile },
+            { zoom: 7, scale: 2, bbox: [-60, -60, 60, 60], getTile: getTile }
+        ];
+        return printer.batch(list, { cache: new printer.TileCache() }).then(function(results) {
+            assert.ok(Buffer.isBuffer(results[0].image));
+            assert.ok(results[1].error instanceof printer.errors.ImageTooLargeError);
+        });
+    });
+});
+
+describe('progress and stats', function() {
+    // tile 1/1/1 is the slow one
+    function getTile(z, x, y, callback) {
+        setTimeout(callback, x && y ? 40 : 1, null, fixture(z, x, y), {});
+    }
+    function params(overrides) {
+        return extend({ zoom: 1, center: { x: 0, y: 0, w: 200, h: 200 }, getTile: getTile }, overrides);
+    }
+
+    it('reports phases and tiles as they happen', function() {
+        var events = [];
+        return printer(params({ onProgress: function(event) { events.push(event); } })).then(function() {
+            var phases = events.filter(function(e) { return e.type === 'phase'; }).map(function(e) { return e.phase; });
+            assert.deepEqual(phases, ['plan', 'fetch', 'blend']);
+            var tileEvents = events.filter(function(e) { return e.type !== 'phase'; });
+            assert.deepEqual(tileEvents.slice(0, 4).map(function(e) { return e.type; }), ['queued', 'queued', 'queued', 'queued']);
+            assert.deepEqual(tileEvents.slice(4).map(function(e) { return e.fetched; }), [1, 2, 3, 4]);
+            var last = tileEvents[tileEvents.length - 1];
+            assert.deepEqual([last.type, last.z, last.x, last.y, last.queued, last.failed], ['fetched', 1, 1, 1, 4, 0]);
+            assert.equal(last.bytes, tiles['1.1.1.256'].length);
+            assert.ok(last.ms >= 30);
+        });
+    });
+
+    it('reports failed tiles before the render fails', function() {
+        var events = [];
+        var failing = function(z, x, y, callback) {
+            if (x && y) return callback(new Error('Tile does not exist'));
+            getTile(z, x, y, callback);
+        };
+        return printer(params({ getTile: failing, onProgress: function(event) { events.push(event); } })).then(function() {
+            assert.fail('expected a TileFetchError');
+        }, function(err) {
+            assert.ok(err instanceof printer.errors.TileFetchError);
+            var failed = events.filter(function(e) { return e.type === 'failed'; });
+            assert.equal(failed.length, 1);
+            assert.deepEqual([failed[0].x, failed[0].y, failed[0].failed], [1, 1, 1]);
+            assert.ok(/Tile does not exist/.test(failed[0].error));
+        });
+    });
+
+    it('adds latency, bytes, timings and the slowest tile to stats', function() {
+        return printer(params()).then(function(result) {
+            var stats = result.stats;
+            assert.ok(stats.latency.min <= stats.latency.p50);
+            assert.ok(stats.latency.p50 <= stats.latency.p95);
+            assert.equal(stats.latency.p95, stats.latency.max);
+            assert.ok(stats.latency.max >= 30);
+            assert.deepEqual([stats.slowest.z, stats.slowest.x, stats.slowest.y], [1, 1, 1]);
+            assert.equal(stats.slowest.ms, stats.latency.max);
+            assert.equal(stats.bytes, ['1.0.0.256', '1.0.1.256', '1.1.0.256', '1.1.1.256'].reduce(function(memo, key) {
+                return memo + tiles[key].length;
+            }, 0));
+            assert.deepEqual(Object.keys(stats.timings), ['plan', 'fetch', 'blend', 'encode']);
+            assert.equal(stats.timings.encode, 0);
+            assert.ok(stats.timings.fetch >= 30);
+        });
+    });
+
+    it('counts only the tiles fetched through getTile', function() {
+        var cache = new printer.TileCache(),
+            events = [];
+        return printer(params({ cache: cache })).then(function() {
+            return printer(params({ cache: cache, onProgress: function(event) { events.push(event); } }));
+        }).then(function(result) {
+            assert.equal(result.stats.latency, null);
+            assert.equal(result.stats.slowest, null);
+            assert.equal(result.stats.bytes, 0);
+            assert.ok(events.filter(function(e) { return e.type === 'fetched'; }).every(function(e) { return e.cached; }));
+        });
+    });
+
+    it('takes nearest-rank percentiles', function() {
+        var summarize = require('../lib/stats').summarize;
+        var samples = [];
+        for (var i = 20; i > 0; i--) samples.push({ z: 0, x: 0, y: i, ms: i, bytes: 10 });
+        assert.deepEqual(summarize(samples), {
+            latency: { min: 1, p50: 10, p95: 19, max: 20 },
+            bytes: 200,
+            slowest: { z: 0, x: 0, y: 20, ms: 20 }
+        });
+    });
+});
+
+describe('georeferencing', function() {
+    var MAX_EXTENT = 20037508.342789244;
+    var params = function(overrides) {
+        return extend({
+            zoom: 1,
+            center: { x: 0, y: 0, w: 512, h: 512 },
+            georeference: true,
+            getTile: fixtureTiles()
+        }, overrides);
+    };
+
+    it('returns the rendered extent, pixel size and a world file', function() {
+        return printer(params()).then(function(result) {
+            var georef = result.meta.georeference;
+            var r = 2 * MAX_EXTENT / 512;
+            assert.equal(georef.crs, 'EPSG:3857');
+            assert.deepEqual(georef.bounds, result.meta.bounds);
+            assert.deepEqual(georef.bounds3857, [-MAX_EXTENT, -MAX_EXTENT, MAX_EXTENT, MAX_EXTENT]);
+            assert.equal(georef.pixelSize, r);
+            assert.equal(georef.worldFileExtension, 'pgw');
+            var lines = georef.worldFile.trim().split('\n').map(Number);
+            assert.equal(lines.length, 6);
+            assert.ok(Math.abs(lines[0] - r) < 1e-6);
+            assert.equal(lines[1], 0);
+            assert.equal(lines[2], 0);
+            assert.ok(Math.abs(lines[3] + r) < 1e-6);
+            // center of the upper-left pixel
+            assert.ok(Math.abs(lines[4] - (-MAX_EXTENT + r / 2)) < 1e-3);
+            assert.ok(Math.abs(lines[5] - (MAX_EXTENT - r / 2)) < 1e-3);
+        });
+    });
+
+    it('accounts for scale and bearing', function() {
+        return printer(params({ scale: 2, bearing: 90 })).then(function(result) {
+            var georef = result.meta.georeference;
+            var r = 2 * MAX_EXTENT / 1024;
+            assert.equal(georef.pixelSize, r);
+            // east up: moving down the image goes west, moving right goes south
+            assert.ok(Math.abs(georef.transform[0]) < 1e-6);
+            assert.ok(Math.abs(georef.transform[1] + r) < 1e-6);
+            assert.ok(Math.abs(georef.transform[2] + r) < 1e-6);
+            assert.ok(Math.abs(georef.transform[3]) < 1e-6);
+        });
+    });
+
+    it('embeds GeoTIFF tags in tiff output', function() {
+        return printer(params({ format: 'tiff' })).then(function(result) {
+            assert.equal(result.headers['Content-Type'], 'image/tiff');
+            assert.equal(result.meta.georeference.worldFileExtension, 'tfw');
+            var image = mapnik.Image.fromBytes(result.image);
+            assert.equal(image.width(), 512);
+
+            var geotiff = require('../lib/geotiff');
+            var tags = geotiff.readTags(result.image);
+            var r = 2 * MAX_EXTENT / 512;
+            assert.deepEqual(tags[geotiff.TAGS.ModelPixelScale], [r, r, 0]);
+            assert.deepEqual(tags[geotiff.TAGS.ModelTiepoint], [0, 0, 0, -MAX_EXTENT, MAX_EXTENT, 0]);
+            assert.deepEqual(tags[geotiff.TAGS.GeoKeyDirectory].slice(-4), [3072, 0, 1, 3857]);
+        });
+    });
+});
+
+describe('auto-fit zoom', function() {
+    function getTile(z, x, y, callback) {
+        var tile = fixture(z, x, y);
+        if (!tile) return callback(new Error('Tile does not exist'));
+        callback(null, tile, {});
+    }
+
+    it('picks the largest zoom where the bbox fits', function() {
+        assert.equal(printer.fitZoom([-10, -10, 10, 10], 1200, 800), 5);
+        assert.equal(printer.fitZoom([-10, -10, 10, 10], 1200, 800, { tileSize: 512 }), 4);
+    });
+
+    it('leaves room for padding', function() {
+        // 20 degrees is 910px wide at z6, so 100px of padding pushes it to z5
+        assert.equal(printer.fitZoom([-10, 0, 10, 1], 1000, 1000), 6);
+        assert.equal(printer.fitZoom([-10, 0, 10, 1], 1000, 1000, { padding: 100 }), 5);
+    });
+
+    it('clamps to minZoom and maxZoom', function() {
+        assert.equal(printer.fitZoom([-10, -10, 10, 10], 1200, 800, { maxZoom: 3 }), 3);
+        assert.equal(printer.fitZoom([-180, -85, 180, 85], 100, 100, { minZoom: 2 }), 2);
+        assert.equal(printer.fitZoom([5, 5, 5, 5], 100, 100), 22);
+    });
+
+    it('rejects zoom combined with width and height', function() {
+        var err = printer.validate({ zoom: 3, bbox: [-10, -10, 10, 10], width: 100, height: 100, getTile: getTile });
+        assert.equal(err.argument, 'zoom');
+    });
+
+    it('renders the bbox centered in the requested canvas', function(done) {
+        var params = {
+            bbox: [-140, -80, 140, 80],
+            width: 600,
+            height: 500,
+            getTile: getTile
+        };
+        printer(params, function(err, image, headers, stats, meta) {
+            assert.ifError(err);
+            var decoded = mapnik.Image.fromBytes(image);
+            assert.equal(decoded.width(), 600);
+            assert.equal(decoded.height(), 500);
+            assert.equal(meta.zoom, 1);
+            // bbox is centered, so the rendered bounds contain it symmetrically
+            assert.ok(meta.bounds[0] < -140 && meta.bounds[2] > 140);
+            assert.ok(Math.abs(meta.bounds[0] + meta.bounds[2]) < 1e-9);
+            assert.ok(meta.bounds[1] <= -80 && meta.bounds[3] >= 80);
+            done();
+        });
+    });
+});
+
+describe('viewport', function() {
+    var getTile = fixtureTiles();
+    function close(a, b, epsilon) {
+        epsilon = epsilon || 1e-6;
+        assert.ok(Math.abs(a[0] - b[0]) < epsilon && Math.abs(a[1] - b[1]) < epsilon, a + ' != ' + b);
+    }
+
+    // Images are placed on whole pixels, so lng,lat given as parameters
+    // land within a pixel of where they were asked for.
+    it('places the bbox corners on the image edges', function() {
+        var view = printer.viewport({ zoom: 2, scale: 2, bbox: [-90, -45, 90, 45] });
+        close(view.project([-90, 45]), [0, 0], 1);
+        close(view.project([90, -45]), [view.width, view.height], 1);
+        close(view.unproject([view.width / 2, view.height / 2]), view.center);
+    });
+
+    it('round trips through a rotated, fractional zoom view', function() {
+        var view = printer.viewport({ zoom: 3.3, bearing: 30, center: { x: 10, y: 20, w: 300, h: 200 } });
+        close(view.project([10, 20]), [150, 100], 1);
+        [[0, 0], [300, 0], [123.5, 77.25]].forEach(function(point) {
+            close(view.project(view.unproject(point)), point);
+        });
+        // bearing 30: north points up and to the left of the image
+        var north = view.project([10, 21]);
+        assert.ok(north[0] < 150 && north[1] < 100);
+    });
+
+    it('projects across the antimeridian to the nearest side', function() {
+        var view = printer.viewport({ zoom: 2, center: { x: 180, y: 0, w: 200, h: 200 } });
+        assert.ok(view.project([-170, 0])[0] > 100);
+        assert.ok(view.project([170, 0])[0] < 100);
+        close(view.unproject(view.project([-170, 0])), [-170, 0]);
+    });
+
+    it('throws on invalid parameters', function() {
+        assert.throws(function() {
+            printer.viewport({ center: { x: 0, y: 0 } });
+        }, function(err) { return err.code === 'INVALID_ARGUMENT'; });
+    });
+
+    it('is returned with each render', function() {
+        return printer({ zoom: 1, center: { x: 0, y: 0, w: 300, h: 200 }, getTile: getTile }).then(function(result) {
+            var view = result.meta.viewport;
+            assert.ok(view instanceof printer.Viewport);
+            assert.equal(view.width, 300);
+            assert.equal(view.height, 200);
+            close(view.project([0, 0]), [150, 100], 1);
+        });
+    });
+});
+
+describe('tile grids', function() {
+    var grids = printer.grids;
+    var getTile = fixtureTiles();
+    function close(a, b, epsilon) {
+        epsilon = epsilon || 1e-6;
+        assert.ok(Math.abs(a[0] - b[0]) < epsilon && Math.abs(a[1] - b[1]) < epsilon, a + ' != ' + b);
+    }
+    // A national grid in meters, 100m pixels at zoom 0 down to 10m at
+    // zoom 3, with a made up linear projection.
+    var local = grids.fromTileMatrixSet({
+        id: 'Local',
+        crs: 'http://www.opengis.net/def/crs/EPSG/0/2056',
+        tileMatrices: [100, 50, 20, 10].map(function(r, i) {
+            var n = Math.ceil(1e6 / (r * 256));
+            return { id: 'L' + i, cellSize: r, pointOfOrigin: [0, 6e6], tileWidth: 256, tileHeight: 256, matrixWidth: n, matrixHeight: n };
         })
+    }, {
+        project: function(p) { return [p[0] * 1e5, p[1] * 1e5]; },
+        unproject: function(p) { return [p[0] / 1e5, p[1] / 1e5]; }
+    });
+
+    it('numbers TMS rows from the bottom', function() {
+        var center = { x: 256, y: 256, w: 512, h: 512 };
+        var xyz = printer.tileList(1, 1, center, 256, 0),
+            tms = printer.tileList(1, 1, center, 256, 0, 'tms');
+        assert.deepEqual(tms.tiles.map(function(t) { return [t.x, 1 - t.y, t.px, t.py]; }),
+            xyz.tiles.map(function(t) { return [t.x, t.y, t.px, t.py]; }));
+    });
+
+    it('renders TMS tiles like XYZ tiles', function() {
+        function getTmsTile(z, x, y, callback) {
+            callback(null, fixture(z, x, Math.pow(2, z) - 1 - y), {});
+        }
+        var params = { zoom: 1, center: { x: 0, y: 0, w: 300, h: 200 }, format: 'png' };
+        return Promise.all([
+            printer(Object.assign({ getTile: getTile }, params)),
+            printer(Object.assign({ getTile: getTmsTile, grid: 'tms' }, params))
+        ]).then(function(results) {
+            assert.ok(results[1].image.equals(results[0].image));
+        });
+    });
+
+    it('places EPSG:4326 tiles, two at zoom 0', function() {
+        assert.deepEqual(printer.coordsFromBbox(0, 1, [-180, -90, 180, 90], limit, 256, 'wgs84'), { w: 512, h: 256, x: 256, y: 128 });
+        var coords = printer.tileList(0, 1, { x: 256, y: 128, w: 512, h: 256 }, 256, 0, 'wgs84');
+        assert.deepEqual(coords.tiles.slice(0, 2).map(function(t) { return [t.x, t.y, t.px]; }), [[0, 0, 0], [1, 0, 256]]);
+
+        // the whole globe is valid, not only Web Mercator latitudes
+        var view = printer.viewport({ grid: 'wgs84', zoom: 1, center: { x: 10, y: 89, w: 300, h: 200 } });
+        close(view.project([10, 89]), [150, 100], 1);
+        close(view.project(view.unproject([20, 30])), [20, 30]);
+        assert.equal(printer.fitZoom([-10, -10, 10, 10], 1200, 800, { grid: 'wgs84' }), 4);
+    });
+
+    it('reads OGC TileMatrixSets', function() {
+        var quad = grids.fromTileMatrixSet({
+            id: 'WorldCRS84Quad',
+            crs: 'http://www.opengis.net/def/crs/OGC/1.3/CRS84',
+            tileMatrices: [
+                { id: '0', scaleDenominator: 279541132.0143588, pointOfOrigin: [-180, 90], tileWidth: 256, tileHeight: 256, matrixWidth: 2, matrixHeight: 1 },
+                { id: '1', cellSize: 0.3515625, pointOfOrigin: [-180, 90], tileWidth: 256, tileHeight: 256, matrixWidth: 4, matrixHeight: 2 }
+            ]
+        });
+        assert.equal(quad.crs, 'EPSG:4326');
+        assert.ok(quad.wrap && quad.quadtree);
+        assert.ok(Math.abs(quad.matrices[0].resolution - 0.703125) < 1e-9);
+
+        // EPSG:4326 lists latitude first; a bottom left origin counts rows up
+        var flipped = grids.fromTileMatrixSet({
+            crs: 'EPSG:4326',
+            tileMatrices: [{ id: '0', cellSize: 0.703125, cornerOfOrigin: 'bottomLeft', pointOfOrigin: [-90, -180], tileWidth: 256, tileHeight: 256, matrixWidth: 2, matrixHeight: 1 }]
+        });
+        assert.deepEqual(flipped.matrices[0].origin, [-180, 90]);
+        assert.ok(flipped.bottomUp);
+
+        assert.equal(local.crs, 'EPSG:2056');
+        assert.ok(!local.wrap && !local.quadtree);
+        assert.equal(local.maxZoom, 3);
+        assert.throws(function() {
+            grids.fromTileMatrixSet({ crs: 'EPSG:2056', tileMatrices: [{ id: '0', cellSize: 1, pointOfOrigin: [0, 0], tileWidth: 256, tileHeight: 256 }] });
+        }, /needs project and unproject/);
+    });
+
+    it('places images on custom grids', function() {
+        var view = printer.viewport({ grid: local, zoom: 2, center: { x: 5, y: 55, w: 300, h: 200 } });
+        close(view.project([5, 55]), [150, 100]);
+        close(view.unproject([0, 0]), [5 - 150 * 20 / 1e5, 55 + 100 * 20 / 1e5]);
+
+        // columns stop at the matrix edges instead of wrapping
+        var edge = printer.coordsFromCenter(1, 1, { x: 0, y: 59, w: 600, h: 600 }, limit, 256, local);
+        printer.tileList(1, 1, edge, 256, 0, local).tiles.forEach(function(t) {
+            assert.ok(t.x >= 0 && t.y >= 0 && t.x < 79 && t.y < 79, [t.x, t.y].join('/'));
+        });
+
+        // fractional zooms resample the nearest level
+        var coords = printer.tileList(1.5, 1, printer.coordsFromCenter(1.5, 1, { x: 5, y: 55, w: 300, h: 200 }, limit, 256, local), 256, 0, local);
+        assert.ok(coords.tiles.every(function(t) { return t.z === 2; }));
+        assert.ok(Math.abs(coords.resample.matrix[0] - Math.sqrt(50 / 20)) < 1e-9);
+
+        assert.equal(printer.fitZoom([4.75, 54.75, 5.25, 55.25], 1200, 1200, { grid: local }), 1);
+    });
+
+    it('validates parameters against custom grids', function() {
+        var base = { grid: local, zoom: 2, center: { x: 5, y: 55, w: 300, h: 200 }, getTile: getTile };
+        assert.equal(printer.validate(base), null);
+        [
+            [{ zoom: 4 }, 'zoom'],
+            [{ tileSize: 512 }, 'tileSize'],
+            [{ missingTile: 'overzoom' }, 'missingTile']
+        ].forEach(function(testCase) {
+            assert.equal(printer.validate(Object.assign({}, base, testCase[0])).argument, testCase[1]);
+        });
+    });
+
+    it('georeferences images on other grids', function() {
+        return printer({ grid: 'wgs84', zoom: 1, center: { x: 0, y: 0, w: 512, h: 256 }, georeference: true, getTile: getTile }).then(function(result) {
+            var georef = result.meta.georeference;
+            assert.equal(georef.crs, 'EPSG:4326');
+            assert.equal(georef.pixelSize, 360 / 1024);
+            assert.deepEqual(georef.crsBounds, [-90, -45, 90, 45]);
+            assert.equal(georef.bounds3857, undefined);
+        });
+    });
+});
+
+describe('overlays', function() {
+    function render(overlays, overrides) {
+        var params = extend({
+            zoom: 1,
+            center: { x: 0, y: 0, w: 200, h: 200 },
+            overlays: overlays,
+            getTile: fixtureTiles()
+        }, overrides);
+        return printer(params).then(function(result) {
+            return mapnik.Image.fromBytes(result.image);
+        });
+    }
+    var line = {
+        type: 'Feature',
+        properties: { stroke: '#ff0000', width: 4 },
+        geometry: { type: 'LineString', coordinates: [[-20, 0], [20, 0]] }
+    };
+
+    it('draws lines where their coordinates are', function() {
+        return render({ type: 'FeatureCollection', features: [line] }).then(function(image) {
+            assert.deepEqual(color(image, 100, 100), [255, 0, 0]);
+            assert.notDeepEqual(color(image, 100, 90), [255, 0, 0]);
+        });
+    });
+
+    it('scales line widths with the image', function() {
+        return render(line, { scale: 2 }).then(function(image) {
+            assert.equal(image.width(), 400);
+            // 4px wide at scale 2 covers 4px either side of the center
+            assert.deepEqual(color(image, 200, 203), [255, 0, 0]);
+            assert.notDeepEqual(color(image, 200, 210), [255, 0, 0]);
+        });
+    });
+
+    it('fills polygons and follows the bearing', function() {
+        var polygon = {
+            type: 'Feature',
+            properties: { fill: '#0000ff', width: 0 },
+            geometry: { type: 'Polygon', coordinates: [[[0, -10], [40, -10], [40, 10], [0, 10], [0, -10]]] }
+        };
+        return render(polygon, { bearing: 90 }).then(function(image) {
+            // east is up, so the polygon lies above the center
+            assert.deepEqual(color(image, 100, 80), [0, 0, 255]);
+            assert.notDeepEqual(color(image, 100, 120), [0, 0, 255]);
+        });
+    });
+
+    it('places marker images by their anchor', function() {
+        var pin = new mapnik.Image(6, 6);
+        pin.fillSync(new mapnik.Color('#00ff00'));
+        var marker = {
+            type: 'Feature',
+            properties: { marker: pin.encodeSync('png32'), anchor: [0, 0] },
+            geometry: { type: 'Point', coordinates: [0, 0] }
+        };
+        return render(marker).then(function(image) {
+            assert.deepEqual(color(image, 102, 102), [0, 255, 0]);
+            assert.notDeepEqual(color(image, 98, 98), [0, 255, 0]);
+        });
+    });
+
+    it('registers the mapnik input plugins only once overlays are drawn', function(done) {
+        var script = [
+            "var mapnik = require('@carto/mapnik'), registered = false;",
+            'mapnik.register_default_input_plugins = function() { registered = true; };',
+            "require('./');",
+            'console.log(registered);'
+        ].join('\n');
+        execFile(process.execPath, ['-e', script], { cwd: path.resolve(__dirname, '..') }, function(err, stdout) {
+            assert.ifError(err);
+            assert.equal(stdout.trim(), 'false');
+            done();
+        });
+    });
+
+    it('enlarges marker images with the scale', function() {
+        var pin = new mapnik.Image(6, 6);
+        pin.fillSync(new mapnik.Color('#00ff00'));
+        var marker = {
+            type: 'Feature',
+            properties: { marker: pin.encodeSync('png32'), anchor: [3, 3] },
+            geometry: { type: 'Point', coordinates: [0, 0] }
+        };
+        return render(marker, { scale: 2 }).then(function(image) {
+            // 6px at scale 2 covers 6px either side of the point
+            assert.deepEqual(color(image, 195, 205), [0, 255, 0]);
+            assert.notDeepEqual(color(image, 192, 200), [0, 255, 0]);
+        });
+    });
+});
+
+describe('decorations', function() {
+    var decorations = require('../lib/decorations');
+    function render(options, overrides) {
+        var params = extend({
+            zoom: 1,
+            center: { x: 0, y: 0, w: 200, h: 200 },
+            decorations: options,
+            getTile: fixtureTiles()
+        }, overrides);
+        return printer(params).then(function(result) {
+            return mapnik.Image.fromBytes(result.image);
+        });
+    }
+
+    it('draws a frame inside a margin', function() {
+        var frame = { frame: { margin: 10, width: 2, color: '#ff0000', background: '#00ff00' } };
+        return render(frame).then(function(image) {
+            assert.deepEqual(color(image, 5, 5), [0, 255, 0]);
+            assert.deepEqual(color(image, 11, 100), [255, 0, 0]);
+            assert.notDeepEqual(color(image, 100, 100), [0, 255, 0]);
+            return render(frame, { scale: 2 });
+        }).then(function(image) {
+            assert.deepEqual(color(image, 15, 15), [0, 255, 0]);
+            assert.deepEqual(color(image, 22, 200), [255, 0, 0]);
+        });
+    });
+
+    it('draws attribution from tile headers', function() {
+        var corner = [120, 170, 72, 22];
+        return Promise.all([
+            render({}),
+            render({ attribution: true }),
+            render({ attribution: true }, { getTile: fixtureTiles({ 'X-Attribution': '&copy; Example' }) })
+        ]).then(function(images) {
+            function crop(image) {
+                return image.view.apply(image, corner);
+            }
+            // nothing to attribute without the header
+            assert.equal(crop(images[1]).compare(crop(images[0]), { threshold: 0 }), 0);
+            assert.ok(crop(images[2]).compare(crop(images[0]), { threshold: 0 }) > 0);
+        });
+    });
+
+    it('picks round scale bar lengths', function() {
+        var viewport = printer.viewport({ zoom: 10, scale: 2, center: { x: 0, y: 60, w: 400, h: 300 }, getTile: fixtureTiles() });
+        // 76.4m per pixel at scale 1, half that at scale 2
+        var metric = decorations.scaleBar(viewport, 200, 'metric'),
+            imperial = decorations.scaleBar(viewport, 200, 'imperial');
+        assert.equal(metric.label, '5 km');
+        assert.ok(Math.abs(metric.width - 130.83) < 0.01, metric.width);
+        assert.equal(imperial.label, '2 mi');
+        assert.ok(Math.abs(imperial.width - 84.22) < 0.01, imperial.width);
+        assert.equal(decorations.scaleBar(viewport, 20, 'metric').label, '500 m');
+        assert.equal(decorations.scaleBar(viewport, 20, 'imperial').label, '2000 ft');
+    });
+
+    it('stacks decorations at their anchors at every scale', function() {
+        var options = {
+            title: 'Title',
+            attribution: { text: 'Attribution', anchor: 'bottom-left' },
+            scaleBar: true,
+            northArrow: true
+        };
+        function texts(scale) {
+            var viewport = printer.viewport({ zoom: 10, scale: scale, center: { x: 0, y: 60, w: 400, h: 300 }, getTile: fixtureTiles() });
+            return decorations.layout(options, viewport, scale).filter(function(shape) {
+                return shape.kind === 'text';
+            }).map(function(shape) {
+                return [shape.text, shape.geometry.coordinates[0], -shape.geometry.coordinates[1]];
+            });
+        }
+        var one = texts(1);
+        assert.deepEqual(one.map(function(t) { return t[0]; }), ['Title', 'N', '5 km', 'Attribution']);
+        // the title is centered, the arrow is top right
+        assert.equal(one[0][1], 200);
+        assert.ok(one[1][1] > 300 && one[1][2] < 40);
+        // the scale bar is nearest the bottom left corner, the attribution above it
+        assert.ok(one[3][2] < one[2][2] && one[2][2] < 300);
+        texts(4).forEach(function(t, i) {
+            assert.equal(t[0], one[i][0]);
+            assert.ok(Math.abs(t[1] - 4 * one[i][1]) < 1e-9 && Math.abs(t[2] - 4 * one[i][2]) < 4, t + ' ' + one[i]);
+        });
+    });
+
+    it('joins distinct attributions as plain text', function() {
+        assert.equal(decorations.attribution([
+            { 'X-Attribution': '<a href="https://example.com">&copy; Example</a>' },
+            { 'x-attribution': '&copy; Example' },
+            {},
+            { 'X-Attribution': 'Other &amp; co' }
+        ]), '© Example | Other & co');
+    });
+
+    it('cannot be drawn on sheets', function() {
+        return printer.sheets({
+            zoom: 1,
+            center: { x: 0, y: 0, w: 200, h: 200 },
+            decorations: { title: 'Map' },
+            getTile: fixtureTiles()
+        }, { height: 100 }).then(function() {
+            assert.fail('expected an InvalidArgumentError');
+        }, function(err) {
+            assert.equal(err.argument, 'decorations');
+        });
+    });
+});
+
+describe('layers', function() {
+    function solid(color, size, headers) {
+        var image = new mapnik.Image(size || 256, size || 256);
+        image.fillSync(new mapnik.Color(color));
+        var buffer = image.encodeSync('png32');
+        var getTile = function(z, x, y, callback) {
+            getTile.zooms.push(z);
+            callback(null, buffer, headers || {});
+        };
+        getTile.zooms = [];
+        return getTile;
+    }
+    function render(layers, overrides) {
+        return printer(extend({ zoom: 2, center: { x: 0, y: 0, w: 100, h: 100 }, layers: layers }, overrides));
+    }
+    function pixel(result) {
+        var c = mapnik.Image.fromBytes(result.image).getPixel(50, 50, { get_color: true });
+        return [c.r, c.g, c.b, c.a];
+    }
+    function near(actual, expected) {
+        actual.forEach(function(v, i) {
+            assert.ok(Math.abs(v - expected[i]) <= 2, actual + ' != ' + expected);
+        });
+    }
+
+    it('draws layers in order with their opacity', function() {
+        return render([
+            { getTile: solid('#0000ff') },
+            { getTile: solid('#ff0000'), opacity: 0.5 }
+        ]).then(function(result) {
+            near(pixel(result), [128, 0, 127, 255]);
+            assert.equal(result.stats.layers.length, 2);
+            assert.equal(result.stats.tiles, result.stats.layers[0].tiles * 2);
+        });
+    });
+
+    it('applies compOp', function() {
+        return render([
+            { getTile: solid('#ff8000') },
+            { getTile: solid('#ffffff'), compOp: 'multiply' },
+            { getTile: solid('#808080'), compOp: 'multiply' }
+        ]).then(function(result) {
+            near(pixel(result), [128, 64, 0, 255]);
+        });
+    });
+
+    it('fetches layers with larger tiles from a lower zoom', function() {
+        var basemap = solid('#0000ff'),
+            hillshade = solid('#ffffff', 512);
+        return render([
+            { getTile: basemap },
+            { getTile: hillshade, tileSize: 512, compOp: 'multiply' }
+        ]).then(function(result) {
+            near(pixel(result), [0, 0, 255, 255]);
+            assert.ok(basemap.zooms.every(function(z) { return z === 2; }));
+            assert.ok(hillshade.zooms.length && hillshade.zooms.every(function(z) { return z === 1; }));
+        });
+    });
+
+    it('fetches layers at the same time within the concurrency', function() {
+        var inFlight = 0,
+            maxInFlight = 0,
+            calls = [];
+        var slow = function(color) {
+            var getTile = solid(color);
+            return function(z, x, y, callback) {
+                calls.push(color);
+                maxInFlight = Math.max(maxInFlight, ++inFlight);
+                setTimeout(function() {
+                    inFlight--;
+                    getTile(z, x, y, callback);
+                }, 10);
+            };
+        };
+        return render([
+            { getTile: slow('#0000ff') },
+            { getTile: slow('#ff0000'), opacity: 0.5 }
+        ], { concurrency: 6 }).then(function(result) {
+            // drawn in order whichever layer arrived first
+            near(pixel(result), [128, 0, 127, 255]);
+            assert.equal(calls.length, 8);
+            // each layer has 4 tiles, so 6 in flight means both were fetching
+            assert.equal(maxInFlight, 6);
+        });
+    });
+
+    it('combines the headers of every layer', function() {
+        return render([
+            { getTile: solid('#0000ff', 256, { 'Last-Modified': 'Mon, 03 Mar 2014 18:00:00 GMT', ETag: '"a"' }) },
+            { getTile: solid('#ff0000', 256, { 'Last-Modified': 'Tue, 04 Mar 2014 18:00:00 GMT', ETag: '"b"' }) }
+        ]).then(function(result) {
+            assert.equal(result.headers['Last-Modified'], 'Tue, 04 Mar 2014 18:00:00 GMT');
+            assert.notEqual(result.headers.ETag, '"a"');
+            assert.notEqual(result.headers.ETag, '"b"');
+        });
+    });
+});
+
+describe('vector tiles', function() {
+    var SRS = require('../lib/mapnik-xml').SRS;
+    var style = [
+        '<Map srs="' + SRS + '" background-color="#ffffff">',
+        '<Style name="land"><Rule>',
+        '<Filter>[mapnik::geometry_type] = polygon</Filter><PolygonSymbolizer fill="#ff0000"/>',
+        '</Rule><Rule>',
+        '<Filter>[mapnik::geometry_type] = linestring</Filter><LineSymbolizer stroke="#0000ff" stroke-width="2"/>',
+        '</Rule></Style>',
+        '<Layer name="land" srs="' + SRS + '"><StyleName>land</StyleName></Layer>',
+        '</Map>'
+    ].join('');
+    // a polygon east of the prime meridian and a line along the equator
+    var land = JSON.stringify({
+        type: 'FeatureCollection',
+        features: [
+            { type: 'Feature', properties: {}, geometry: { type: 'Polygon', coordinates: [[[0, -60], [180, -60], [180, 60], [0, 60], [0, -60]]] } },
+            { type: 'Feature', properties: {}, geometry: { type: 'LineString', coordinates: [[-180, 0], [0, 0]] } }
+        ]
+    });
+    function getTile(z, x, y, callback) {
+        getTile.calls++;
+        var vtile = new mapnik.VectorTile(z, x, y);
+        vtile.addGeoJSON(land, 'land');
+        callback(null, vtile.getData(), {});
+    }
+
+    beforeEach(function() {
+        getTile.calls = 0;
+    });
+
+    it('renders vector tiles with the style', function() {
+        return printer({ zoom: 1, center: { x: 0, y: 20, w: 200, h: 100 }, style: style, getTile: getTile }).then(function(result) {
+            assert.ok(getTile.calls > 0);
+            assert.deepEqual(color(result.image, 150, 50), [255, 0, 0]);
+            assert.deepEqual(color(result.image, 50, 10), [255, 255, 255]);
+        });
+    });
+
+    it('renders at the requested scale', function() {
+        var params = { zoom: 1, center: { x: -90, y: 0, w: 100, h: 100 }, style: style, getTile: getTile };
+        return Promise.all([printer(params), printer(Object.assign({}, params, { scale: 2 }))]).then(function(results) {
+            // the 2px line is 4px wide at scale 2
+            assert.deepEqual(color(results[0].image, 50, 50), [0, 0, 255]);
+            assert.deepEqual(color(results[0].image, 50, 52), [255, 255, 255]);
+            assert.deepEqual(color(results[1].image, 100, 101), [0, 0, 255]);
+            assert.deepEqual(color(results[1].image, 100, 103), [255, 255, 255]);
+        });
+    });
+
+    it('renders vector layers under raster layers', function() {
+        var clear = new mapnik.Image(256, 256).encodeSync('png32');
+        return printer({
+            zoom: 1,
+            center: { x: 0, y: 20, w: 200, h: 100 },
+            layers: [
+                { getTile: getTile, style: style },
+                { getTile: function(z, x, y, callback) { callback(null, clear, {}); } }
+            ]
+        }).then(function(result) {
+            assert.deepEqual(color(result.image, 150, 50), [255, 0, 0]);
+        });
+    });
+});
+
+describe('output formats', function() {
+    var getTile = fixtureTiles();
+    // PNG color type: 3 is a palette, 6 is RGBA
+    function pngColorType(buffer) {
+        return buffer[25];
+    }
+
+    [
+        ['png', undefined, 'image/png', function(b) { assert.equal(b.toString('hex', 0, 4), '89504e47'); }],
+        ['png', 64, 'image/png', function(b) { assert.equal(pngColorType(b), 3); }],
+        ['png8:m=h', undefined, 'image/png', function(b) { assert.equal(pngColorType(b), 3); }],
+        ['png32', undefined, 'image/png', function(b) { assert.equal(pngColorType(b), 6); }],
+        ['jpeg', 90, 'image/jpeg', function(b) { assert.equal(b.toString('hex', 0, 2), 'ffd8'); }],
+        ['jpeg70', undefined, 'image/jpeg', function(b) { assert.equal(b.toString('hex', 0, 2), 'ffd8'); }],
+        ['webp', 75, 'image/webp', function(b) { assert.equal(b.toString('ascii', 12, 16), 'VP8 '); }],
+        ['webp:lossless=1', undefined, 'image/webp', function(b) { assert.equal(b.toString('ascii', 12, 16), 'VP8L'); }],
+        ['tiff', undefined, 'image/tiff', function(b) { assert.ok(['II', 'MM'].indexOf(b.toString('ascii', 0, 2)) !== -1); }]
+    ].forEach(function(testCase) {
+        var format = testCase[0],
+            quality = testCase[1];
+        it('encodes and decodes ' + format + (quality ? ' at quality ' + quality : ''), function() {
+            return printer({
+                zoom: 1,
+                center: { x: 0, y: 0, w: 300, h: 200 },
+                format: format,
+                quality: quality,
+                getTile: getTile
+            }).then(function(result) {
+                assert.equal(result.headers['Content-Type'], testCase[2]);
+                testCase[3](result.image);
+                var image = mapnik.Image.fromBytes(result.image);
+                assert.equal(image.width(), 300);
+                assert.equal(image.height(), 200);
+            });
+        });
+    });
+
+    it('names world files after the format family', function() {
+        return printer({
+            zoom: 1,
+            center: { x: 0, y: 0, w: 100, h: 100 },
+            format: 'webp',
+            georeference: true,
+            getTile: getTile
+        }).then(function(result) {
+            assert.equal(result.meta.georeference.worldFileExtension, 'wld');
+        });
+    });
+});
+
+describe('HTTP caching', function() {
+    var LAST_MODIFIED = 'Mon, 03 Mar 2014 18:00:00 GMT';
+    // tile 0/0 gets `first`, the others `rest`
+    function source(first, rest) {
+        return function(z, x, y, callback) {
+            var headers = Object.assign({ 'Last-Modified': LAST_MODIFIED }, x === 0 && y === 0 ? first : rest);
+            callback(null, fixture(z, x, y), headers);
+        };
+    }
+    function render(getTile, overrides) {
+        return printer(extend({ zoom: 1, center: { x: 0, y: 0, w: 512, h: 512 }, getTile: getTile }, overrides));
+    }
+
+    it('caches the image as long as its least cacheable tile', function() {
+        return Promise.all([
+            render(source({ 'Cache-Control': 'max-age=60' }, { 'Cache-Control': 'public, max-age=600' })),
+            render(source({ 'Expires': new Date(Date.now() + 120000).toUTCString() }, { 'Cache-Control': 'max-age=600' })),
+            render(source({ 'Cache-Control': 'no-store' }, { 'Cache-Control': 'max-age=600' })),
+            render(source({}, {}))
+        ]).then(function(results) {
+            assert.equal(results[0].headers['Cache-Control'], 'max-age=60');
+            var maxAge = +/max-age=(\d+)/.exec(results[1].headers['Cache-Control'])[1];
+            assert.ok(maxAge >= 115 && maxAge <= 120, maxAge);
+            assert.equal(results[2].headers['Cache-Control'], 'no-store');
+            assert.equal(results[3].headers['Cache-Control'], 'max-age=3600');
+        });
+    });
+
+    it('keeps private tiles private', function() {
+        return Promise.all([
+            render(source({ 'Cache-Control': 'private, max-age=60' }, { 'Cache-Control': 'public, max-age=600' })),
+            render(source({ 'Cache-Control': 'private, max-age=60' }, { 'Cache-Control': 'public, s-maxage=86400, max-age=600' }))
+        ]).then(function(results) {
+            assert.equal(results[0].headers['Cache-Control'], 'private, max-age=60');
+            assert.equal(results[1].headers['Cache-Control'], 'private, max-age=60');
+        });
+    });
+
+    it('sends s-maxage apart from the client max-age', function() {
+        return Promise.all([
+            render(source({}, { 'Cache-Control': 'public, s-maxage=86400, max-age=60' })),
+            render(source({ 'Cache-Control': 'max-age=600' }, { 'Cache-Control': 's-maxage=86400, max-age=60' })),
+            render(source({ 'Cache-Control': 's-maxage=300' }, { 'Cache-Control': 'max-age=60' }))
+        ]).then(function(results) {
+            assert.equal(results[0].headers['Cache-Control'], 'max-age=60, s-maxage=86400');
+            // tiles without s-maxage hold shared caches to their max-age
+            assert.equal(results[1].headers['Cache-Control'], 'max-age=60, s-maxage=600');
+            assert.equal(results[2].headers['Cache-Control'], 'max-age=60, s-maxage=60');
+        });
+    });
+
+    it('lets a cacheControl policy override the derived header', function() {
+        var getTile = source({ 'Cache-Control': 'max-age=60' }, {});
+        return Promise.all([
+            render(getTile, { cacheControl: 'public, max-age=86400' }),
+            render(getTile, {
+                cacheControl: function(derived, tileHeaders) {
+                    assert.equal(tileHeaders.length, 4);
+                    return derived + ', stale-while-revalidate=30';
+                }
+            })
+        ]).then(function(results) {
+            assert.equal(results[0].headers['Cache-Control'], 'public, max-age=86400');
+            assert.equal(results[1].headers['Cache-Control'], 'max-age=60, stale-while-revalidate=30');
+        });
+    });
+
+    it('skips stitching when ifNoneMatch matches', function() {
+        var getTile = source({ 'ETag': '"a"' }, { 'ETag': '"b"' });
+        return render(getTile).then(function(first) {
+            return Promise.all([
+                render(getTile, { ifNoneMatch: '"x", W/' + first.headers.ETag }),
+                render(getTile, { ifNoneMatch: '"x"' })
+            ]).then(function(results) {
+                assert.strictEqual(results[0].image, null);
+                assert.equal(results[0].meta.notModified, true);
+                assert.equal(results[0].headers.ETag, first.headers.ETag);
+                assert.equal(results[0].stats.uniqueTiles, 4);
+                assert.ok(Buffer.isBuffer(results[1].image));
+                assert.equal(results[1].meta.notModified, undefined);
+            });
+        });
+    });
+
+    it('skips stitching when nothing changed since ifModifiedSince', function() {
+        var getTile = source({}, {});
+        return Promise.all([
+            render(getTile, { ifModifiedSince: LAST_MODIFIED }),
+            render(getTile, { ifModifiedSince: new Date('2014-03-01') }),
+            // If-None-Match takes precedence
+            render(getTile, { ifModifiedSince: LAST_MODIFIED, ifNoneMatch: '"x"' })
+        ]).then(function(results) {
+            assert.strictEqual(results[0].image, null);
+            assert.ok(Buffer.isBuffer(results[1].image));
+            assert.ok(Buffer.isBuffer(results[2].image));
+        });
+    });
+});
+
+describe('sheets', function() {
+    var requests;
+    function getTile(z, x, y, callback) {
+        requests++;
+        callback(null, fixture(z, x, y), {});
+    }
+    var params = function(overrides) {
+        return extend({ zoom: 1, center: { x: 0, y: 0, w: 500, h: 400 }, getTile: getTile }, overrides);
+    };
+
+    beforeEach(function() {
+        requests = 0;
+    });
+
+    it('lays out sheets row by row with overlap', function() {
+        return printer.sheets(params(), { width: 200, height: 150, overlap: 10 }).then(function(result) {
+            var manifest = result.manifest;
+            assert.equal(manifest.width, 500);
+            assert.equal(manifest.height, 400);
+            assert.equal(manifest.rows, 3);
+            assert.equal(manifest.columns, 3);
+            assert.deepEqual(manifest.sheets.map(function(sheet) {
+                return [sheet.row, sheet.column, sheet.x, sheet.y, sheet.width, sheet.height];
+            }), [
+                [0, 0, 0, 0, 200, 150], [0, 1, 190, 0, 200, 150], [0, 2, 380, 0, 120, 150],
+                [1, 0, 0, 140, 200, 150], [1, 1, 190, 140, 200, 150], [1, 2, 380, 140, 120, 150],
+                [2, 0, 0, 280, 200, 120], [2, 1, 190, 280, 200, 120], [2, 2, 380, 280, 120, 120]
+            ]);
+            assert.deepEqual(result.sheets.map(function(sheet) { return sheet.index; }), [0, 1, 2, 3, 4, 5, 6, 7, 8]);
+            assert.ok(result.sheets.every(function(sheet) { return Buffer.isBuffer(sheet.image); }));
+            assert.deepEqual(JSON.parse(JSON.stringify(manifest)), manifest);
+        });
+    });
+
+    it('cuts horizontal strips when no width is given', function() {
+        return printer.sheets(params(), { height: 100 }).then(function(result) {
+            assert.equal(result.manifest.columns, 1);
+            assert.deepEqual(result.sheets.map(function(sheet) { return [sheet.y, sheet.width, sheet.height]; }),
+                [[0, 500, 100], [100, 500, 100], [200, 500, 100], [300, 500, 100]]);
+        });
+    });
+
+    it('places sheets where they sit in the full image', function() {
+        var full = printer.viewport(params({ bearing: 20 }));
+        return printer.sheets(params({ bearing: 20 }), { width: 300, height: 250 }).then(function(result) {
+            result.sheets.forEach(function(sheet) {
+                [[0, 0], [10, 20], [-5, 30]].forEach(function(lngLat) {
+                    var a = full.project(lngLat),
+                        b = sheet.meta.viewport.project(lngLat);
+                    assert.ok(Math.abs(a[0] - sheet.x - b[0]) < 1e-6 && Math.abs(a[1] - sheet.y - b[1]) < 1e-6);
+                });
+            });
+            assert.equal(result.manifest.sheets[0].bounds[3], result.sheets[0].meta.bounds[3]);
+        });
+    });
+
+    it('fetches tiles shared along sheet borders once', function() {
+        return printer.sheets(params(), { width: 250, height: 200 }).then(function(result) {
+            var stats = result.sheets.map(function(sheet) { return sheet.stats; });
+            assert.equal(requests, 4);
+            assert.equal(stats.reduce(function(sum, s) { return sum + s.cache.misses; }, 0), 4);
+            assert.ok(stats.every(function(s) { return s.cache.hits + s.cache.misses === s.uniqueTiles; }));
+        });
+    });
+
+    it('renders images beyond the limit, checking each sheet against it', function() {
+        var big = params({ limit: 300 });
+        return printer(big).then(function() {
+            assert.fail('expected an ImageTooLargeError');
+        }, function(err) {
+            assert.ok(err instanceof printer.errors.ImageTooLargeError);
+            return printer.sheets(big, { width: 250, height: 200 });
+        }).then(function(result) {
+            assert.equal(result.sheets.length, 4);
+            return printer.sheets(big, { height: 200 });
+        }).then(function() {
+            assert.fail('expected an ImageTooLargeError');
+        }, function(err) {
+            assert.ok(err instanceof printer.errors.ImageTooLargeError);
+            assert.equal(err.width, 500);
+        });
+    });
+
+    it('hands sheets to onSheet in order', function() {
+        var seen = [];
+        return printer.sheets(params(), {
+            height: 200,
+            onSheet: function(sheet, done) {
+                assert.ok(Buffer.isBuffer(sheet.image));
+                seen.push(sheet.index);
+                setImmediate(done);
+            }
+        }).then(function(result) {
+            assert.deepEqual(seen, [0, 1]);
+            assert.ok(result.sheets.every(function(sheet) { return sheet.image === null; }));
+        });
+    });
+
+    it('stitches sheets matching the full image', function() {
+        return Promise.all([
+            printer(params()),
+            printer.sheets(params(), { width: 200, height: 150, overlap: 10 })
+        ]).then(function(results) {
+            var full = mapnik.Image.fromBytes(results[0].image);
+            results[1].sheets.forEach(function(sheet) {
+                var image = mapnik.Image.fromBytes(sheet.image);
+                assert.equal(image.width(), sheet.width);
+                assert.equal(image.height(), sheet.height);
+                var crop = full.view(sheet.x, sheet.y, sheet.width, sheet.height);
+                assert.equal(image.compare(crop, { threshold: 0 }), 0, 'sheet ' + sheet.index);
+            });
+        });
+    });
+
+    it('rejects invalid options', function() {
+        return printer.sheets(params(), { width: 200 }).then(function() {
+            assert.fail('expected an InvalidArgumentError');
+        }, function(err) {
+            assert.equal(err.argument, 'height');
+            return printer.sheets(params(), { height: 100, overlap: 100 });
+        }).then(function() {
+            assert.fail('expected an InvalidArgumentError');
+        }, function(err) {
+            assert.equal(err.argument, 'overlap');
+        });
+    });
+});
+
+describe('sources', function() {
+    var sources = printer.sources;
+    var root = path.join(os.tmpdir(), 'abaculus-sources-' + process.pid);
+    var XY = [[0, 0], [0, 1], [1, 0], [1, 1]];
+
+    function tile(x, y) {
+        return fixture(1, x, y);
+    }
+    // z1 fixture tiles under root/name/z/x/y.png, rows flipped for tms
+    function writeTree(name, tms) {
+        XY.forEach(function(xy) {
+            var dir = path.join(root, name, '1', String(xy[0]));
+            fs.mkdirSync(dir, { recursive: true });
+            fs.writeFileSync(path.join(dir, (tms ? 1 - xy[1] : xy[1]) + '.png'), tile(xy[0], xy[1]));
+        });
+        return path.join(root, name);
+    }
+    function serve(handler, callback) {
+        var server = http.createServer(handler);
+        server.listen(0, '127.0.0.1', function() {
+            callback(server, 'http://127.0.0.1:' + server.address().port);
+        });
+    }
+
+    // fs.rmSync is not available on every supported Node.
+    function removeTree(dir) {
+        if (!fs.existsSync(dir)) return;
+        fs.readdirSync(dir).forEach(function(name) {
+            var file = path.join(dir, name);
+            if (fs.lstatSync(file).isDirectory()) return removeTree(file);
+            fs.unlinkSync(file);
+        });
+        fs.rmdirSync(dir);
+    }
+
+    after(function() {
+        removeTree(root);
+    });
+
+    it('computes quadkeys', function() {
+        assert.equal(sources.quadkey(0, 0, 0), '');
+        assert.equal(sources.quadkey(1, 0, 1), '2');
+        assert.equal(sources.quadkey(3, 3, 5), '213');
+    });
+
+    it('reads xyz and tms directory trees', function(done) {
+        var xyz = sources.directory(writeTree('xyz')),
+            tms = sources.directory(writeTree('tms', true), { scheme: 'tms' });
+        xyz(1, 0, 1, function(err, buffer, headers, stats) {
+            assert.ifError(err);
+            assert.ok(buffer.equals(tile(0, 1)));
+            assert.ok(headers['Last-Modified']);
+            assert.equal(typeof stats.render, 'number');
+            tms(1, 1, 0, function(err, buffer) {
+                assert.ifError(err);
+                assert.ok(buffer.equals(tile(1, 0)));
+                done();
+            });
+        });
+    });
+
+    it('rejects a tms scheme for a {-y} template', function() {
+        assert.throws(function() {
+            sources.directory(path.join(root, '{z}', '{x}', '{-y}.png'), { scheme: 'tms' });
+        }, function(err) {
+            return err instanceof printer.errors.InvalidArgumentError && err.argument === 'scheme';
+        });
+    });
+
+    it('reads file templates with {-y}', function(done) {
+        var getTile = sources.directory(path.join(writeTree('template', true), '{z}', '{x}', '{-y}.png'));
+        getTile(1, 0, 0, function(err, buffer) {
+            assert.ifError(err);
+            assert.ok(buffer.equals(tile(0, 0)));
+            getTile(2, 0, 0, function(err) {
+                assert.equal(err.message, 'Tile does not exist');
+                done();
+            });
+        });
+    });
+
+    it('renders from a directory source', function(done) {
+        printer({
+            zoom: 1,
+            scale: 1,
+            center: { x: 0, y: 0, w: 200, h: 200 },
+            format: 'png',
+            getTile: sources.directory(writeTree('render'))
+        }, function(err, image, headers, stats) {
+            assert.ifError(err);
+            assert.equal(stats.uniqueTiles, 4);
+            assert.equal(stats.failed.length, 0);
+            image = mapnik.Image.fromBytes(image);
+            assert.equal(image.width(), 200);
+            assert.equal(image.height(), 200);
+            done();
+        });
+    });
+
+    it('fetches quadkey URL templates and retries server errors', function(done) {
+        var requests = [];
+        serve(function(req, res) {
+            requests.push(req.url);
+            if (requests.length === 1) {
+                res.writeHead(503);
+                return res.end();
+            }
+            if (req.url !== '/t1/2.png') {
+                res.writeHead(404);
+                return res.end();
+            }
+            res.writeHead(200, { 'Content-Type': 'image/png', 'ETag': '"a"' });
+            res.end(tile(0, 1));
+        }, function(server, base) {
+            var getTile = sources.xyz(base + '/{s}/{q}.png', { subdomains: ['t1'], retryDelay: 1 });
+            getTile(1, 0, 1, function(err, buffer, headers, stats) {
+                assert.ifError(err);
+                assert.deepEqual(requests, ['/t1/2.png', '/t1/2.png']);
+                assert.ok(buffer.equals(tile(0, 1)));
+                assert.equal(headers.etag, '"a"');
+                assert.equal(typeof stats.render, 'number');
+                getTile(1, 1, 1, function(err) {
+                    server.close();
+                    assert.equal(err.message, 'Tile does not exist');
+                    assert.equal(requests.length, 3, '404 is not retried');
+                    done();
+                });
+            });
+        });
+    });
+
+    it('gives up after the retries', function(done) {
+        var requests = 0;
+        serve(function(req, res) {
+            requests++;
+            res.writeHead(500);
+            res.end();
+        }, function(server, base) {
+            sources.xyz(base + '/{z}/{x}/{y}.png', { retries: 2, retryDelay: 1 })(0, 0, 0, function(err) {
+                server.close();
+                assert.equal(err.message, 'HTTP 500 for ' + base + '/0/0/0.png');
+                assert.equal(requests, 3);
+                done();
+            });
+        });
+    });
+
+    it('times out requests without a response', function(done) {
+        var requests = 0,
+            pending = [];
+        serve(function(req, res) {
+            requests++;
+            pending.push(res);
+        }, function(server, base) {
+            var getTile = sources.xyz(base + '/{z}/{x}/{y}.png', { timeout: 20, retries: 1, retryDelay: 1 });
+            printer({ zoom: 0, center: { x: 0, y: 0, w: 100, h: 100 }, getTile: getTile }, function(err) {
+                pending.forEach(function(res) {
+                    res.destroy();
+                });
+                server.close();
+                assert.ok(err instanceof printer.errors.TileFetchError);
+                assert.equal(err.cause.message, 'Timed out after 20ms for ' + base + '/0/0/0.png');
+                assert.equal(requests, 2);
+                done();
+            });
+        });
+    });
+
+    it('drops hung requests once the render times them out', function(done) {
+        var requests = 0,
+            open = 0,
+            maxOpen = 0;
+        serve(function(req) {
+            requests++;
+            maxOpen = Math.max(maxOpen, ++open);
+            req.socket.on('close', function() {
+                open--;
+            });
+        }, function(server, base) {
+            var getTile = sources.xyz(base + '/{z}/{x}/{y}.png', { timeout: 0, retries: 0 });
+            var params = { zoom: 0, center: { x: 0, y: 0, w: 100, h: 100 }, timeout: 20, retries: 2, retryDelay: 20, getTile: getTile };
+            printer(params, function(err) {
+                server.close();
+                assert.ok(err instanceof printer.errors.TileFetchError);
+                assert.equal(requests, 3);
+                assert.equal(maxOpen, 1);
+                done();
+            });
+        });
+    });
+
+    it('keeps fetching for renders sharing a cache with an aborted one', function() {
+        var requests = 0;
+        return new Promise(function(resolve) {
+            serve(function(req, res) {
+                requests++;
+                var zxy = req.url.match(/^\/(\d+)\/(\d+)\/(\d+)\.png$/);
+                setTimeout(function() {
+                    res.writeHead(200, { 'Content-Type': 'image/png' });
+                    res.end(fixture(zxy[1], zxy[2], zxy[3]));
+                }, 30);
+            }, function(server, base) {
+                resolve({ server: server, base: base });
+            });
+        }).then(function(served) {
+            var s = signal();
+            var params = {
+                zoom: 1,
+                center: { x: 0, y: 0, w: 200, h: 200 },
+                cache: new printer.TileCache(),
+                getTile: sources.xyz(served.base + '/{z}/{x}/{y}.png', { retryDelay: 1 })
+            };
+            var aborted = printer(extend(params, { signal: s }));
+            var other = printer(params);
+            setTimeout(function() {
+                s.abort();
+            }, 10);
+            return Promise.all([
+                aborted.then(function() {
+                    assert.fail('should have rejected');
+                }, function(err) {
+                    assert.ok(err instanceof printer.errors.AbortError);
+                }),
+                other
+            ]).then(function(results) {
+                served.server.close();
+                assert.ok(Buffer.isBuffer(results[1].image));
+                assert.equal(requests, 8, 'the tiles are requested again for the other render');
+            }, function(err) {
+                served.server.close();
+                throw err;
+            });
+        });
+    });
+
+    it('reads MBTiles rows flipped', function(done) {
+        var sqlite3 = require('sqlite3');
+        fs.mkdirSync(root, { recursive: true });
+        var file = path.join(root, 'tiles.mbtiles');
+        var db = new sqlite3.Database(file);
+        db.serialize(function() {
+            db.run('CREATE TABLE tiles (zoom_level INTEGER, tile_column INTEGER, tile_row INTEGER, tile_data BLOB)');
+            db.run('INSERT INTO tiles VALUES (1, 0, 0, ?)', tile(0, 1));
+            db.run('CREATE TABLE metadata (name TEXT, value TEXT)');
+            db.run('INSERT INTO metadata VALUES (?, ?)', 'attribution', '&copy; Example');
+        });
+        db.close(function(err) {
+            assert.ifError(err);
+            var getTile = sources.mbtiles(file);
+            getTile(1, 0, 1, function(err, buffer, headers, stats) {
+                assert.ifError(err);
+                assert.ok(buffer.equals(tile(0, 1)));
+                assert.ok(headers['Last-Modified']);
+                assert.equal(headers['X-Attribution'], '&copy; Example');
+                assert.equal(typeof stats.render, 'number');
+                getTile(1, 0, 0, function(err) {
+                    assert.equal(err.message, 'Tile does not exist');
+                    getTile.close(done);
+                });
+            });
+        });
+    });
+});
+
+describe('cli', function() {
+    this.timeout(20000);
+    var bin = path.resolve(__dirname, '../bin/abaculus');
+    var template = path.resolve(__dirname, 'fixtures/{z}.{x}.{y}.256.png');
+    var output = path.join(os.tmpdir(), 'abaculus-cli-' + process.pid + '.png');
+
+    function run(args, callback) {
+        execFile(process.execPath, [bin].concat(args), { timeout: 15000 }, function(err, stdout, stderr) {
+            callback(err ? err.code : 0, stdout, stderr);
+        });
+    }
+    function checkOutput(stdout, width, height) {
+        var result = JSON.parse(stdout);
+        assert.equal(result.headers['Content-Type'], 'image/png');
+        assert.equal(result.stats.failed.length, 0);
+        var image = mapnik.Image.fromBytes(fs.readFileSync(output));
+        assert.equal(image.width(), width);
+        assert.equal(image.height(), height);
+        return result;
+    }
+
+    afterEach(function() {
+        if (fs.existsSync(output)) fs.unlinkSync(output);
+    });
+
+    it('renders a bbox from a file template', function(done) {
+        run(['--bbox', '-140,-80,140,80', '--size', '600x500', template, output], function(code, stdout, stderr) {
+            assert.equal(code, 0, stderr);
+            checkOutput(stdout, 600, 500);
+            done();
+        });
+    });
+
+    it('renders a center from an HTTP URL template', function(done) {
+        var requests = 0;
+        var server = http.createServer(function(req, res) {
+            requests++;
+            var zxy = req.url.match(/^\/(\d+)\/(\d+)\/(\d+)\.png$/);
+            var tile = zxy && fixture(zxy[1], zxy[2], zxy[3]);
+            if (!tile) {
+                res.writeHead(404);
+                return res.end();
+            }
+            res.writeHead(200, { 'Content-Type': 'image/png', 'Cache-Control': 'max-age=300' });
+            res.end(tile);
+        });
+        server.listen(0, '127.0.0.1', function() {
+            var url = 'http://127.0.0.1:' + server.address().port + '/{z}/{x}/{y}.png';
+            run(['--center', '0,0', '--size', '300x200', '--zoom', '1', '--scale', '2', url, output], function(code, stdout, stderr) {
+                server.close();
+                assert.equal(code, 0, stderr);
+                var result = checkOutput(stdout, 600, 400);
+                assert.equal(result.headers['Cache-Control'], 'max-age=300');
+                assert.equal(requests, result.stats.uniqueTiles);
+                done();
+            });
+        });
+    });
+
+    it('renders from an MBTiles file', function(done) {
+        var sqlite3 = require('sqlite3');
+        var file = path.join(os.tmpdir(), 'abaculus-cli-' + process.pid + '.mbtiles');
+        if (fs.existsSync(file)) fs.unlinkSync(file);
+        var db = new sqlite3.Database(file);
+        db.serialize(function() {
+            db.run('CREATE TABLE tiles (zoom_level INTEGER, tile_column INTEGER, tile_row INTEGER, tile_data BLOB)');
+            [[0, 0], [0, 1], [1, 0], [1, 1]].forEach(function(xy) {
+                // rows are flipped in MBTiles
+                db.run('INSERT INTO tiles VALUES (1, ?, ?, ?)', xy[0], 1 - xy[1], fixture(1, xy[0], xy[1]));
+            });
+        });
+        db.close(function(err) {
+            assert.ifError(err);
+            run(['--bbox', '-140,-80,140,80', '--zoom', '1', file, output], function(code, stdout, stderr) {
+                fs.unlinkSync(file);
+                assert.equal(code, 0, stderr);
+                var result = JSON.parse(stdout);
+                assert.equal(result.stats.uniqueTiles, 4);
+                assert.ok(fs.existsSync(output));
+                done();
+            });
+        });
+    });
+
+    it('writes sheets and a manifest', function(done) {
+        var base = output.slice(0, -4);
+        run(['--bbox', '-140,-80,140,80', '--size', '600x500', '--sheets', '400x300', '--overlap', '10', template, output], function(code, stdout, stderr) {
+            assert.equal(code, 0, stderr);
+            var manifest = JSON.parse(fs.readFileSync(base + '.json', 'utf8'));
+            assert.deepEqual(JSON.parse(stdout), manifest);
+            assert.equal(manifest.rows, 2);
+            assert.equal(manifest.columns, 2);
+            fs.unlinkSync(base + '.json');
+            var images = manifest.sheets.map(function(sheet) {
+                var file = path.join(path.dirname(output), sheet.file);
+                var image = fs.readFileSync(file);
+                fs.unlinkSync(file);
+                return image;
+            });
+            manifest.sheets.forEach(function(sheet, i) {
+                assert.equal(sheet.file, path.basename(base) + '-' + sheet.row + '-' + sheet.column + '.png');
+                var image = mapnik.Image.fromBytes(images[i]);
+                assert.equal(image.width(), sheet.width);
+                assert.equal(image.height(), sheet.height);
+            });
+            done();
+        });
+    });
+
+    it('exits with 2 on usage errors', function(done) {
+        run(['--center', '0,0', template, output], function(code, stdout, stderr) {
+            assert.equal(code, 2);
+            assert.ok(/--center needs --size/.test(stderr));
+            run(['--bogus', '1', template, output], function(code, stdout, stderr) {
+                assert.equal(code, 2);
+                assert.ok(/Unknown option --bogus/.test(stderr));
+                run(['--bbox', '-140,-80,140,80', '--sheets', '400', template, output], function(code, stdout, stderr) {
+                    assert.equal(code, 2);
+                    assert.ok(/--sheets must be WIDTHxHEIGHT/.test(stderr));
+                    done();
+                });
+            });
+        });
+    });
+
+    it('exits with 1 when rendering fails', function(done) {
+        run(['--center', '0,0', '--size', '100x100', '--zoom', '3', template, output], function(code, stdout, stderr) {
+            assert.equal(code, 1);
+            assert.ok(/Failed to fetch tile 3\//.test(stderr), stderr);
+            assert.ok(!fs.existsSync(output));
+            done();
+        });
+    });
+});
+
+[256, 512, 1024].forEach(function(size) {
+    describe('stitch tiles into single png', function() {
+        var expectedCoords = {
+            tiles: [
+                { z: 1, x: 0, y: 0, px: 0, py: 0 },
+                { z: 1, x: 0, y: 1, px: 0, py: size },
+                { z: 1, x: 1, y: 0, px: size, py: 0 },
+                { z: 1, x: 1, y: 1, px: size, py: size }
+            ],
+            dimensions: {
+                x: size * 2,
+                y: size * 2
+            },
+            center: { row: 1, column: 1, zoom: 1 },
+            scale: 1,
+            tileSize: size
+        };
+
+        it('should fail if no coordinates object', function(done) {
+            printer.stitchTiles(null, format, quality, function() {}, function(err) {
+                assert.equal(err.message, 'No coords object.');
+                done();
+            });
+        });
+
+        it('should return tiles and stitch them together', function(done) {
+            var expectedImage = fs.readFileSync(path.resolve(__dirname + '/expected/expected.' + size + '.png'));
+
+            printer.stitchTiles(expectedCoords, format, quality, getTileTest, function(err, image, header) {
+                fs.writeFile(__dirname + '/outputs/expected.' + size + '.png', image, function(err){
+                    checkImage(image, expectedImage);
+                    done();
+                });
+            });
+        });
+    });
+
+    describe('run entire function', function() {
+        it('stitches images with a center coordinate', function(done) {
+            var expectedImage = fs.readFileSync(path.resolve(__dirname + '/expected/center.' + size + '.png'));
+
+            var params = {
+                zoom: 1,
+                scale: 1,
+                center: {
+                    x: 0,
+                    y: 0,
+                    w: 200,
+                    h: 200
+                },
+                format: 'png',
+                quality: 50,
+                tileSize: size,
+                getTile: getTileTest
+            };
+
+            printer(params, function(err, image) {
+                assert.equal(err, null);
+
+                fs.writeFile(__dirname + '/outputs/center.' + size + '.png', image, function(err){
+                    assert.equal(err, null);
+                    console.log('\tVisually check image at '+ __dirname + '/outputs/center.' + size + '.png');
+
+                    // byte by byte check of image:
+                    checkImage(image, expectedImage);
+                    done();
+                });
+            });
+        });
+
+        it('stitches images with a wsen bbox', function(done) {
+            var expectedImage = fs.readFileSync(path.resolve(__dirname + '/expected/bbox.' + size + '.png'));
+
+            var params = {
+                zoom: 1,
+                scale: 1,
+                bbox: [-140, -80, 140, 80],
+                format: 'png',
+                quality: 50,
+                tileSize: size,
+                getTile: getTileTest
+            };
+
+            printer(params, function(err, image, headers, stats, meta) {
+                assert.equal(err, null);
+                assert.equal(meta.zoom, 1);
+                assert.deepEqual(meta.bounds.map(Math.round), [-140, -80, 140, 80]);
+                fs.writeFile(__dirname + '/outputs/bbox.' + size + '.png', image, function(err){
+                    assert.equal(err, null);
+                    console.log('\tVisually check image at '+ __dirname + '/outputs/bbox.'+ size +'.png');
+
+                    // byte by byte check of image:
+                    checkImage(image, expectedImage);
+                    done();
+                });
+            });
+        })
+    });
+
+    describe('fractional zoom', function() {
+        var params = function(zoom) {
+            return {
+                zoom: zoom,
+                scale: 1,
+                center: { x: 0, y: 0, w: 200, h: 200 },
+                format: 'png',
+                quality: 50,
+                tileSize: size,
+                getTile: getTileTest
+            };
+        };
+
+        it('fetches tiles at the nearest integer zoom', function() {
+            var center = printer.coordsFromCenter(1.4, 1, { x: 0, y: 0, w: 200, h: 200 }, limit, size);
+            var coords = printer.tileList(1.4, 1, center, size);
+            coords.tiles.forEach(function(t) {
+                assert.equal(t.z, 1);
+            });
+            assert.deepEqual(coords.dimensions, { x: 200, y: 200 });
+            assert.ok(coords.resample.width < 200);
+        });
+
+        it('matches the integer zoom fixture when the fraction is zero', function() {
+            var expectedImage = fs.readFileSync(path.resolve(__dirname + '/expected/center.' + size + '.png'));
+            return printer(params(1.0)).then(function(result) {
+                checkImage(result.image, expectedImage);
+            });
+        });
+
+        it('resamples to the integer zoom fixture when the fraction is negligible', function() {
+            var expectedImage = fs.readFileSync(path.resolve(__dirname + '/expected/center.' + size + '.png'));
+            return printer(params(1 + 1e-9)).then(function(result) {
+                checkImage(result.image, expectedImage);
+            });
+        });
+
+        it('renders the requested dimensions at a fractional zoom', function() {
+            return printer(params(1.4)).then(function(result) {
+                var image = mapnik.Image.fromBytes(result.image);
+                assert.equal(image.width(), 200);
+                assert.equal(image.height(), 200);
+                assert.equal(result.meta.zoom, 1.4);
+            });
+        });
+
+        it('resamples large images without blocking the event loop', function(done) {
+            var raster = require('../lib/raster');
+            var yielded = false;
+            setImmediate(function() {
+                yielded = true;
+            });
+            raster.transform(raster.canvas(512, 512), 1024, 1024, [0.5, 0, 0, 0.5, 0, 0], function(err, image) {
+                assert.ifError(err);
+                assert.ok(yielded);
+                assert.equal(image.width(), 1024);
+                done();
+            });
+        });
+    });
+
+    describe('bearing', function() {
+        var params = function(bearing) {
+            return {
+                zoom: 1,
+                scale: 1,
+                center: { x: 0, y: 0, w: 200, h: 200 },
+                format: 'png',
+                tileSize: size,
+                bearing: bearing,
+                getTile: getTileTest
+            };
+        };
+
+        it('enlarges the tile window to cover the rotated viewport', function() {
+            var center = { x: size, y: size, w: size, h: size };
+            var coords = printer.tileList(1, 1, center, size, 45);
+            assert.deepEqual(coords.dimensions, { x: size, y: size });
+            assert.equal(coords.resample.width, Math.ceil(size * Math.SQRT2) + 2);
+        });
+
+        it('leaves north-up maps untouched', function() {
+            var center = { x: size, y: size, w: size, h: size };
+            assert.deepEqual(printer.tileList(1, 1, center, size, 360), printer.tileList(1, 1, center, size));
+        });
+
+        it('rotates the map around its center', function() {
+            return Promise.all([printer(params(0)), printer(params(90))]).then(function(results) {
+                var north = mapnik.Image.fromBytes(results[0].image),
+                    east = mapnik.Image.fromBytes(results[1].image);
+                assert.equal(east.width(), 200);
+                assert.equal(east.height(), 200);
+                // With east up, pixel (i, j) shows what north-up has at (199 - j, i).
+                [[0, 0], [20, 150], [100, 100], [199, 37]].forEach(function(p) {
+                    assert.equal(east.getPixel(p[0], p[1]), north.getPixel(199 - p[1], p[0]));
+                });
+                assert.equal(results[1].meta.bearing, 90);
+            });
+        });
+    });
+
+    describe('antimeridian', function() {
+        it('stitches a bbox crossing the antimeridian seamlessly', function() {
+            var bboxParams = {
+                zoom: 1,
+                scale: 1,
+                bbox: [90, -60, -90, 60],
+                format: 'png',
+                tileSize: size,
+                getTile: getTileTest
+            };
+            return printer(bboxParams).then(function(crossing) {
+                var image = mapnik.Image.fromBytes(crossing.image);
+                assert.equal(image.width(), size);
+                assert.equal(crossing.meta.bounds[0], 90);
+                assert.equal(crossing.meta.bounds[2], -90);
+
+                // the same view, centered on the antimeridian
+                return printer({
+                    zoom: 1,
+                    scale: 1,
+                    center: { x: 180, y: 0, w: image.width(), h: image.height() },
+                    format: 'png',
+                    tileSize: size,
+                    getTile: getTileTest
+                }).then(function(centered) {
+                    checkImage(crossing.image, centered.image);
+                });
+            });
+        });
+    });
+
+    describe('resilient tile fetching', function() {
+        var params = function(getTile, overrides) {
+            return extend({
+                zoom: 1,
+                scale: 1,
+                center: { x: 0, y: 0, w: 200, h: 200 },
+                format: 'png',
+                tileSize: size,
+                getTile: getTile
+            }, overrides);
+        };
+        // Tiles in the eastern hemisphere do not exist.
+        var getTileWest = function(z, x, y, callback) {
+            if (x >= Math.pow(2, z) / 2) return callback(new Error('Tile does not exist'));
+            getTileTest(z, x, y, callback);
+        };
+
+        it('retries failed tiles with backoff', function() {
+            var failures = 0;
+            var flaky = function(z, x, y, callback) {
+                if (failures++ < 3) return callback(new Error('Connection reset'));
+                getTileTest(z, x, y, callback);
+            };
+            return printer(params(flaky, { retries: 3, retryDelay: 1 })).then(function(result) {
+                assert.equal(result.stats.retries, 3);
+                assert.deepEqual(result.stats.failed, []);
+            });
+        });
+
+        it('fails with a TileFetchError once retries are exhausted', function() {
+            return printer(params(getTileWest, { retries: 1, retryDelay: 1 })).then(function() {
+                assert.fail('should have rejected');
+            }, function(err) {
+                assert.ok(err instanceof printer.errors.TileFetchError);
+                assert.equal(err.z, 1);
+                assert.equal(err.x, 1);
+            });
+        });
+
+        it('times out slow tiles', function() {
+            var slow = function(z, x, y, callback) {
+                setTimeout(function() { getTileTest(z, x, y, callback); }, 200);
+            };
+            return printer(params(slow, { timeout: 10 })).then(function() {
+                assert.fail('should have rejected');
+            }, function(err) {
+                assert.ok(err instanceof printer.errors.TileFetchError);
+                assert.ok(/Timed out after 10ms/.test(err.message));
+            });
+        });
+
+        it('leaves missing tiles transparent', function() {
+            return printer(params(getTileWest, { missingTile: 'transparent' })).then(function(result) {
+                var image = mapnik.Image.fromBytes(result.image);
+                assert.equal(image.getPixel(150, 100, { get_color: true }).a, 0);
+                assert.notEqual(image.getPixel(50, 100, { get_color: true }).a, 0);
+                assert.deepEqual(result.stats.failed.map(function(f) { return f.substitute; }), ['transparent', 'transparent']);
+                assert.equal(result.stats.failed[0].error, 'Tile does not exist');
+            });
+        });
+
+        it('fills missing tiles with a color', function() {
+            var options = { missingTile: 'color', missingTileColor: 'rgb(255,0,0)' };
+            return printer(params(getTileWest, options)).then(function(result) {
+                var pixel = mapnik.Image.fromBytes(result.image).getPixel(150, 100, { get_color: true });
+                assert.deepEqual([pixel.r, pixel.g, pixel.b, pixel.a], [255, 0, 0, 255]);
+                assert.equal(result.stats.failed.length, 2);
+            });
+        });
+
+        it('overzooms the parent tile for missing tiles', function() {
+            // only the z1 fixtures exist, so every z2 tile comes from its parent
+            return printer(params(getTileTest, { zoom: 2, missingTile: 'overzoom' })).then(function(result) {
+                var image = mapnik.Image.fromBytes(result.image);
+                assert.equal(image.width(), 200);
+                assert.equal(result.stats.failed.length, 4);
+                result.stats.failed.forEach(function(f) {
+                    assert.equal(f.z, 2);
+                    assert.equal(f.substitute, 'overzoom');
+                });
+            });
+        });
+    });
+
+    describe('promise API', function() {
+        var params = function(getTile) {
+            return {
+                zoom: 1,
+                scale: 1,
+                center: { x: 0, y: 0, w: 200, h: 200 },
+                format: 'png',
+                quality: 50,
+                tileSize: size,
+                getTile: getTile
+            };
+        };
+
+        it('resolves to image, headers and stats when no callback is given', function() {
+            var expectedImage = fs.readFileSync(path.resolve(__dirname + '/expected/center.' + size + '.png'));
+            return printer(params(getTileTest)).then(function(result) {
+                checkImage(result.image, expectedImage);
+                assert.equal(result.headers['Content-Type'], 'image/png');
+                assert.equal(result.stats.tiles, 4);
+            });
+        });
+
+        it('accepts a getTile that returns a promise', function() {
+            var expectedImage = fs.readFileSync(path.resolve(__dirname + '/expected/center.' + size + '.png'));
+            var getTileAsync = function(z, x, y) {
+                return new Promise(function(resolve, reject) {
+                    getTileTest(z, x, y, function(err, buffer, headers) {
+                        if (err) return reject(err);
+                        resolve({ buffer: buffer, headers: headers });
+                    });
+                });
+            };
+            return printer(params(getTileAsync)).then(function(result) {
+                checkImage(result.image, expectedImage);
+            });
+        });
+
+        it('rejects when getTile rejects', function() {
+            var getTileAsync = function() {
+                return Promise.reject(new Error('Tile does not exist'));
+            };
+            return printer(params(getTileAsync)).then(function() {
+                assert.fail('should have rejected');
+            }, function(err) {
+                assert.ok(/Tile does not exist/.test(err.message));
+            });
+        });
+
+        it('stitchTiles returns a promise when no callback is given', function() {
+            var coords = printer.tileList(1, 1, { x: size, y: size, w: size * 2 - 2, h: size * 2 - 2 }, size);
+            return printer.stitchTiles(coords, format, quality, getTileTest).then(function(result) {
+                assert.ok(Buffer.isBuffer(result.image));
+                assert.equal(result.stats.tiles, 4);
+            });
+        });
     });
 
     // This approximates a tilelive's getTile function